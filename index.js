@@ -1,6 +1,8 @@
-import { chat, getRequestHeaders, messageFormatting, saveSettingsDebounced, scrollChatToBottom, updateMessageBlock } from '../../../../script.js';
+import { chat, getRequestHeaders, messageFormatting, saveSettingsDebounced, scrollChatToBottom, substituteParams, updateMessageBlock } from '../../../../script.js';
 import { extension_settings } from '../../../extensions.js';
+import { getChatCompletionModel, oai_settings, sendOpenAIRequest } from '../../../openai.js';
 import { getRegexedString, regex_placement } from '../../regex/engine.js';
+import { loadWorldInfo, world_names } from '../../../world-info.js';
 
 const { eventSource, event_types, renderExtensionTemplateAsync } = SillyTavern.getContext();
 
@@ -13,10 +15,49 @@ const defaultSettings = {
     newline_token: '\\n',
     // Require some actual continuation beyond the prefix (in chars).
     min_chars_after_prefix: 80,
+    // Cap the continuation beyond the prefix (0 = no cap), in 'chars' or 'words'. `[[len:150-400w]]` overrides it.
+    max_after_prefix: 0,
+    max_after_prefix_unit: 'chars',
+    // Make the reply end on terminal punctuation (plus closing quotes/asterisks and trailing whitespace).
+    require_sentence_end: false,
     // Number of characters from the end of the existing message used as overlap for Continue.
     continue_overlap_chars: 14,
     // Anti-Slop: newline-separated list of banned words/phrases.
     anti_slop_ban_list: '',
+    // Max size (bytes, as sent in the JSON request) of the response pattern; 0 = no limit. When it's exceeded,
+    // Anti-Slop entries are dropped from the bottom of the list until it fits. Each entry adds a few hundred bytes
+    // per free-text run, and patterns much past this size are slow for providers to compile or rejected outright.
+    anti_slop_max_bytes: 32768,
+    // Which ban lists are merged at injection time: the global one above, the current character card's
+    // (`data.extensions.structuredprefill`) and the current chat's (chat metadata). More specific lists come first.
+    anti_slop_use_global: true,
+    anti_slop_use_character: true,
+    anti_slop_use_chat: true,
+    // Slot library: newline-separated `name = opt: a|b`, `name = w: 2-4` or `name = re: ...` definitions,
+    // usable in templates as `[[name]]`.
+    slot_library: '',
+    // Expressions sync: `[[emotion]]` picks from the character's sprite labels and the chosen label is applied
+    // to the Expressions extension after the reply arrives.
+    expressions_sync: false,
+    // Adds a `thinking` scratchpad property before `response`; its value goes to the message's reasoning block.
+    thinking_field: false,
+    // Stat fields: newline-separated `name: integer 0-100`, `name: number`, `name: enum a|b|c`, `name: string /re/` or
+    // `name: boolean` lines (optionally `| hint: ...`), added as required schema properties after `response`.
+    stat_fields: '',
+    // Where `[[...|hint: ...]]` slot hints go in the schema: 'response' (property description), 'schema', 'both' or 'off'.
+    slot_hints_placement: 'response',
+    // Capability overrides: a JSON array of rules in the shape of `defaultCapabilityRules`, applied after them.
+    capability_overrides: '',
+    // "Probe this model" results, keyed by `source|model`; applied between the shipped table and the overrides.
+    capability_probes: {},
+
+    // Text Completion: constrain llama.cpp / KoboldCpp / text-generation-webui (GBNF) and vLLM / Aphrodite / TabbyAPI
+    // (regex) replies with this template. TC has no assistant message to take the template from.
+    tc_enabled: false,
+    tc_prefill_template: '',
+    // Custom (OpenAI-compatible) source: send the pattern as this extra body field instead of `json_schema`, so the
+    // reply is plain text. '' = off; see `customRawOutputFields`.
+    custom_raw_output: '',
 
     // Prefill Generator: if the prefill template contains `[[pg]]`, we run a separate (non-streaming) generation
     // using a different connection profile and splice the output into the template before injecting json_schema.
@@ -38,7 +79,32 @@ const runtimeState = {
     expectedPrefill: '',
     newlineToken: '',
     patternMode: 'default',
+    // Whether the current schema has the `thinking` scratchpad, and its latest decoded value.
+    thinkingField: false,
+    latestThinking: '',
+    // Stat fields sent with the current schema; their values are read from the final JSON.
+    statFields: [],
+    // Ban list actually compiled while fitting the byte budget (null = the configured list).
+    antiSlopList: null,
+    // Size in bytes of the last injected response pattern, per chat completion source.
+    patternSizes: {},
+    // Capabilities resolved for the current request (see `resolveCapabilities`).
+    capabilities: null,
+    // Set while the schema goes to direct Claude: the page's `fetch` and our wrapper around it, which reads the tool
+    // input of the next generate response as text and then puts the original back.
+    claudeToolUseFetch: null,
+    // Type of the generation ST started and hasn't ended yet ('normal', 'continue', 'quiet', ...); TC settings don't
+    // carry it. Empty outside a generation.
+    lastGenerationType: '',
+    // The current reply is plain text constrained by a guided regex/grammar (custom source), not `{"response": ...}`.
+    rawOutput: false,
     knownNames: [],
+    // `[[lore:Book]]` option lists, keyed by `loreSlotKey()`; resolved per generation like `knownNames`.
+    loreOptions: new Map(),
+    // `[[pick:...]]` / `[[dice:...]]` / `[[random:...]]` results rolled locally for the current generation.
+    rolls: [],
+    // Sprite labels of the active character when Expressions sync is on (replaces the built-in emotion list).
+    expressionLabels: [],
     continue: {
         active: false,
         messageId: -1,
@@ -61,6 +127,9 @@ const runtimeState = {
     },
     hidePrefillLiteral: '',
     hidePrefillRegex: null,
+    // Named slots (`[[emotion as mood]]`) are re-matched against the final decoded text to extract their values.
+    slotCaptureRegex: null,
+    slotCaptureGroups: [],
     streamObserver: null,
     observedMessageId: -1,
     renderQueued: false,
@@ -226,6 +295,8 @@ function escapePrefixLiteral(str) {
     // In practice, models sometimes "double-escape" quotes while inside JSON strings (outputting `\"` as two characters
     // backslash+quote in the decoded value). If we require a raw `"` in the prefix, the grammar can get stuck at the
     // first quote and terminate early. Allow any number of literal backslashes before quotes in *literal* prefix segments.
+    // Raw output isn't inside a JSON string, so there's nothing to tolerate.
+    if (runtimeState.rawOutput) return escapeRegExp(str);
     return escapeRegExp(str).replace(/"/g, '(?:\\\\)*"');
 }
 
@@ -388,10 +459,64 @@ function renderPrefillGenProfileSelect() {
 }
 
 function templateHasPrefillGenSlot(template) {
-    return /\[\[\s*pg\s*\]\]/i.test(String(template ?? ''));
+    return /(?<!\\)\[\[\s*pg\s*\]\]/i.test(String(template ?? ''));
+}
+
+function randomInt(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function rollRandomSlot(spec) {
+    // [[pick:sword|axe|bow]]
+    let m = /^pick\s*:\s*(.+?)\s*$/i.exec(spec);
+    if (m) {
+        const options = parseOptionsList(m[1]);
+        if (options.length === 0) return null;
+        return { value: options[randomInt(0, options.length - 1)] };
+    }
+
+    // [[dice:2d6]] / [[dice:d20+3]]
+    m = /^dice\s*:\s*(\d*)\s*d\s*(\d+)\s*(?:([+-])\s*(\d+))?\s*$/i.exec(spec);
+    if (m) {
+        const count = clampInt(m[1] || 1, 1, 100, 1);
+        const sides = clampInt(m[2], 2, 1000, 6);
+        const dice = Array.from({ length: count }, () => randomInt(1, sides));
+        const modifier = m[3] ? (m[3] === '-' ? -1 : 1) * clampInt(m[4], 0, 100000, 0) : 0;
+        return { value: String(dice.reduce((a, b) => a + b, 0) + modifier), dice };
+    }
+
+    // [[random:1-20]]
+    m = /^(random|rand)\s*:\s*(-?\d+)\s*-\s*(-?\d+)\s*$/i.exec(spec);
+    if (m) {
+        const a = parseInt(m[2], 10);
+        const b = parseInt(m[3], 10);
+        return { value: String(randomInt(Math.min(a, b), Math.max(a, b))) };
+    }
+
+    return null;
+}
+
+function rollTemplateRandomSlots(template) {
+    // Randomized slots are resolved locally into literals, so every swipe gets its own roll and the model
+    // cannot pick a "better" result.
+    const rolls = [];
+    const out = String(template ?? '').replace(templateSlotRegex(), (whole, body) => {
+        const { spec, name } = parseSlotBody(body);
+        const roll = rollRandomSlot(spec);
+        if (!roll) return whole;
+        rolls.push({ slot: spec, ...(name ? { name } : {}), ...roll });
+        return roll.value;
+    });
+    return { template: out, rolls };
 }
 
 function extractPlainTextFromCompletionResponse(data) {
+    // Direct Claude responses keep Anthropic's shape: text blocks, or the forced schema tool's input.
+    if (Array.isArray(data?.content) && !data?.choices) {
+        return data.content
+            .map(block => (block?.type === 'tool_use' ? JSON.stringify(block.input ?? {}) : String(block?.text ?? '')))
+            .join('');
+    }
     const content = data?.choices?.[0]?.message?.content ?? data?.choices?.[0]?.text ?? '';
     if (typeof content === 'string') return content;
     if (Array.isArray(content)) {
@@ -527,42 +652,414 @@ async function runPrefillGeneratorOrEmpty({
     }
 }
 
-function supportsStructuredPrefillForSource(chatCompletionSource) {
+/**
+ * What a source/model can do with `json_schema`. Each rule matches a source (`*` = any) and optionally a model glob
+ * (`*` wildcards, case-insensitive); every matching rule is applied in order, so later rules only need the fields
+ * they change.
+ * - `schema`: the source applies `json_schema` as a real structured output
+ * - `dialect`: `'default'` or `'anthropic'` (the conservative pattern set: no `\S`, `{n,m}` or non-ASCII)
+ * - `ranges`: `{n,m}` quantifiers accepted; `false` switches to the conservative set
+ * - `asciiOnly`: non-ASCII rejected in patterns; `true` switches to the conservative set
+ * - `maxPatternLength`: response pattern limit in bytes (0 = none); Anti-Slop entries are dropped to fit
+ */
+const defaultCapabilities = {
+    schema: true,
+    dialect: 'default',
+    ranges: true,
+    asciiOnly: false,
+    maxPatternLength: 0,
+};
+
+const defaultCapabilityRules = [
     // IMPORTANT: We only activate on sources that (in SillyTavern server) apply `json_schema`
     // as a real structured output mechanism (OpenAI-style `response_format: json_schema` or
     // an equivalent JSON-schema response feature). Some sources translate `json_schema` to
     // JSON-mode / prompt hacks or forced tooling, which would break this extension’s contract.
-    const src = String(chatCompletionSource ?? '').toLowerCase();
-    const incompatible = new Set([
-        // Tool-based or non-OpenAI response format.
-        'claude',
-        // These providers map `json_schema` to JSON mode / prompt hacks on the server.
-        'ai21',
-        'deepseek',
-        'moonshot',
-        'zai',
-        'siliconflow',
-        // Currently disabled server-side.
-        'cometapi',
-        '',
-    ]);
-
-    return !incompatible.has(src);
+
+    // Direct Claude: ST sends `json_schema` as a forced single tool (`input_schema`); `armClaudeToolUseAdapter`
+    // turns the tool input back into the reply text. Anthropic rejects a forced tool while extended thinking is on,
+    // so those requests are skipped (`isClaudeThinkingRequest`).
+    { source: 'claude', dialect: 'anthropic' },
+    // These providers map `json_schema` to JSON mode / prompt hacks on the server.
+    { source: 'ai21', schema: false },
+    { source: 'deepseek', schema: false },
+    { source: 'moonshot', schema: false },
+    { source: 'zai', schema: false },
+    { source: 'siliconflow', schema: false },
+    // Currently disabled server-side.
+    { source: 'cometapi', schema: false },
+    { source: '', schema: false },
+    // Direct Anthropic/Claude provider implementations tend to have stricter schema-regex support than OpenAI.
+    // Use the conservative pattern set to avoid rejected patterns like `\\S` and some `{n,m}` quantifiers.
+    { source: 'anthropic', dialect: 'anthropic' },
+    // OpenRouter (and OpenAI-compatible proxies) routing to Anthropic/Claude models have the same
+    // strict regex limitations. Detect by model name.
+    { source: '*', model: '*claude*', dialect: 'anthropic' },
+    { source: '*', model: '*anthropic*', dialect: 'anthropic' },
+];
+
+const capabilityOverridesCache = { raw: null, rules: [] };
+
+function getCapabilityOverrideRules() {
+    const raw = String(extension_settings[extensionName]?.capability_overrides ?? '').trim();
+    if (capabilityOverridesCache.raw === raw) return capabilityOverridesCache.rules;
+
+    let rules = [];
+    if (raw) {
+        try {
+            const parsed = JSON.parse(raw);
+            rules = (Array.isArray(parsed) ? parsed : [parsed]).filter(rule => rule && typeof rule === 'object');
+        } catch (err) {
+            console.warn(`[${extensionName}] Capability overrides are not valid JSON; using the defaults.`, err);
+        }
+    }
+    capabilityOverridesCache.raw = raw;
+    capabilityOverridesCache.rules = rules;
+    return rules;
+}
+
+function capabilityGlobMatches(glob, value) {
+    const source = String(glob ?? '').split('*').map(escapeRegExp).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(String(value ?? ''));
+}
+
+function capabilityProbeKey(source, modelId) {
+    return `${String(source ?? '').toLowerCase()}|${String(modelId ?? '')}`;
+}
+
+function getCapabilityProbeRules(source, modelId) {
+    const probe = extension_settings[extensionName]?.capability_probes?.[capabilityProbeKey(source, modelId)];
+    return probe?.capabilities ? [{ source: '*', ...probe.capabilities }] : [];
+}
+
+function resolveCapabilities(source, modelId) {
+    const caps = { ...defaultCapabilities };
+    const rules = [...defaultCapabilityRules, ...getCapabilityProbeRules(source, modelId), ...getCapabilityOverrideRules()];
+    for (const rule of rules) {
+        if (!capabilityGlobMatches(rule.source ?? '*', source)) continue;
+        if (rule.model != null && !capabilityGlobMatches(rule.model, modelId)) continue;
+        if (typeof rule.schema === 'boolean') caps.schema = rule.schema;
+        if (rule.dialect === 'default' || rule.dialect === 'anthropic') caps.dialect = rule.dialect;
+        if (typeof rule.ranges === 'boolean') caps.ranges = rule.ranges;
+        if (typeof rule.asciiOnly === 'boolean') caps.asciiOnly = rule.asciiOnly;
+        if (rule.maxPatternLength != null) caps.maxPatternLength = clampInt(rule.maxPatternLength, 0, 10000000, 0);
+    }
+    return caps;
+}
+
+function renderCapabilityInfo() {
+    const $info = $('#structuredprefill_capability_info');
+    if (!$info.length) return;
+
+    const raw = String(extension_settings[extensionName]?.capability_overrides ?? '').trim();
+    let invalid = false;
+    if (raw) {
+        try {
+            JSON.parse(raw);
+        } catch {
+            invalid = true;
+        }
+    }
+    const caps = runtimeState.capabilities;
+    const last = caps
+        ? `Last request: schema ${caps.schema ? 'on' : 'off'}, ${caps.dialect} dialect, ranges ${caps.ranges ? 'on' : 'off'}, `
+            + `${caps.asciiOnly ? 'ASCII only' : 'any chars'}, ${caps.maxPatternLength ? `max ${formatByteSize(caps.maxPatternLength)}` : 'no size limit'}.`
+        : '';
+    $info.text(invalid ? 'Not valid JSON; the shipped table is used as is.' : last);
+}
+
+// Each probe asks for a reply the model wouldn't write on its own, so a matching reply means the pattern was enforced.
+const capabilityProbes = [
+    { feature: 'prefix', label: 'forced prefix', pattern: '^ZQX-7 (?:.|\\n)+$' },
+    { feature: 'ranges', label: 'range quantifier', pattern: '^ZQX-7 [a-z]{3,5}$' },
+    { feature: 'shorthand', label: '\\S class', pattern: '^ZQX-7 \\S+$' },
+    { feature: 'nonAscii', label: 'non-ASCII literal', pattern: '^ZQX-7 \u00E9\u2192 (?:.|\\n)+$' },
+];
+
+async function runCapabilityProbe(probe) {
+    const messages = [{ role: 'user', content: 'Reply with exactly this sentence: "Hello there, how are you doing today?"' }];
+    const jsonSchema = {
+        name: 'response',
+        strict: true,
+        value: {
+            type: 'object',
+            properties: { response: { type: 'string', pattern: probe.pattern } },
+            required: ['response'],
+            additionalProperties: false,
+        },
+    };
+
+    try {
+        const data = await sendOpenAIRequest('quiet', messages, new AbortController().signal, { jsonSchema });
+        if (data?.error) return { result: 'rejected', detail: String(data.error?.message ?? data.message ?? 'error') };
+        const text = extractPlainTextFromCompletionResponse(data);
+        let value = null;
+        try {
+            value = JSON.parse(text)?.response;
+        } catch {
+            // Not JSON: the schema never reached the model.
+        }
+        const enforced = typeof value === 'string' && new RegExp(probe.pattern).test(value);
+        return { result: enforced ? 'enforced' : 'ignored', detail: text.slice(0, 120) };
+    } catch (err) {
+        return { result: 'rejected', detail: String(err?.message ?? err ?? 'error') };
+    }
+}
+
+async function probeCurrentModelCapabilities() {
+    const source = String(oai_settings?.chat_completion_source ?? '').toLowerCase();
+    const modelId = String(getChatCompletionModel?.() ?? '');
+    const $result = $('#structuredprefill_capability_probe_result');
+    const $button = $('#structuredprefill_capability_probe');
+    if ($button.hasClass('disabled')) return;
+    if (!source) {
+        $result.text('Connect to a Chat Completion source first.');
+        return;
+    }
+
+    $button.addClass('disabled');
+    const results = {};
+    try {
+        for (const probe of capabilityProbes) {
+            $result.text(`Probing ${source} / ${modelId || 'default model'}: ${probe.label}...`);
+            results[probe.feature] = await runCapabilityProbe(probe);
+            if (probe.feature === 'prefix' && results.prefix.result !== 'enforced') break;
+        }
+    } finally {
+        $button.removeClass('disabled');
+    }
+
+    // Anything short of "enforced" falls back to what we can rely on: no schema at all when the prefix isn't held,
+    // otherwise the conservative pattern set for whichever feature failed.
+    const capabilities = {};
+    if (results.prefix.result !== 'enforced') {
+        capabilities.schema = false;
+    } else {
+        capabilities.schema = true;
+        capabilities.ranges = results.ranges?.result === 'enforced';
+        capabilities.dialect = results.shorthand?.result === 'enforced' ? 'default' : 'anthropic';
+        capabilities.asciiOnly = results.nonAscii?.result !== 'enforced';
+    }
+
+    const settings = extension_settings[extensionName];
+    settings.capability_probes = {
+        ...(settings.capability_probes ?? {}),
+        [capabilityProbeKey(source, modelId)]: { at: Date.now(), results, capabilities },
+    };
+    saveSettingsDebounced();
+    renderCapabilityProbeResult();
+}
+
+function renderCapabilityProbeResult() {
+    const $result = $('#structuredprefill_capability_probe_result');
+    if (!$result.length) return;
+
+    const source = String(oai_settings?.chat_completion_source ?? '').toLowerCase();
+    const modelId = String(getChatCompletionModel?.() ?? '');
+    const probe = extension_settings[extensionName]?.capability_probes?.[capabilityProbeKey(source, modelId)];
+    if (!probe) {
+        $result.text('');
+        return;
+    }
+    const parts = capabilityProbes
+        .filter(p => probe.results?.[p.feature])
+        .map(p => `${p.label}: ${probe.results[p.feature].result}`);
+    const rejected = Object.values(probe.results ?? {}).find(r => r.result === 'rejected');
+    $result.text(`${source} / ${modelId || 'default model'} (probed ${new Date(probe.at).toLocaleString()}): ${parts.join(', ')}.`
+        + (probe.capabilities?.schema === false ? ' StructuredPrefill stays off for this model.' : '')
+        + (rejected ? ` Error: ${rejected.detail}` : ''));
+}
+
+// Claude has no `response_format`; ST sends the schema as a tool named after it and forces that tool. The reply then
+// arrives as tool input (`input_json_delta` events) rather than text, which ST never shows. Rewriting those events
+// into text deltas lets the usual `{"response": ...}` unwrap and stream guard work unchanged.
+const claudeToolName = 'response';
+
+function adaptClaudeToolUseEvent(event, toolBlocks) {
+    if (event?.type === 'content_block_start' && event.content_block?.type === 'tool_use' && event.content_block.name === claudeToolName) {
+        toolBlocks.add(event.index);
+        return { ...event, content_block: { type: 'text', text: '' } };
+    }
+    if (event?.type === 'content_block_delta' && event.delta?.type === 'input_json_delta' && toolBlocks.has(event.index)) {
+        return { ...event, delta: { type: 'text_delta', text: String(event.delta.partial_json ?? '') } };
+    }
+    if (event?.type === 'message_delta' && event.delta?.stop_reason === 'tool_use') {
+        return { ...event, delta: { ...event.delta, stop_reason: 'end_turn' } };
+    }
+    return event;
+}
+
+function adaptClaudeToolUseStream(body) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    const toolBlocks = new Set();
+    let buffer = '';
+
+    const adaptLine = (line) => {
+        const m = /^data:\s?(.*?)(\r?)$/.exec(line);
+        if (!m) return line;
+        try {
+            return `data: ${JSON.stringify(adaptClaudeToolUseEvent(JSON.parse(m[1]), toolBlocks))}${m[2]}`;
+        } catch {
+            return line;
+        }
+    };
+
+    return body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            if (lines.length) controller.enqueue(encoder.encode(lines.map(adaptLine).join('\n') + '\n'));
+        },
+        flush(controller) {
+            buffer += decoder.decode();
+            if (buffer) controller.enqueue(encoder.encode(adaptLine(buffer)));
+        },
+    }));
+}
+
+async function adaptClaudeToolUseResponse(response) {
+    if (!response?.ok || !response.body) return response;
+    const init = { status: response.status, statusText: response.statusText, headers: response.headers };
+
+    if (String(response.headers.get('content-type') ?? '').includes('text/event-stream')) {
+        return new Response(adaptClaudeToolUseStream(response.body), init);
+    }
+
+    // Non-streaming: swap the tool_use block for a text block holding its input as JSON.
+    const text = await response.text();
+    try {
+        const data = JSON.parse(text);
+        if (Array.isArray(data?.content)) {
+            data.content = data.content.map(block => (block?.type === 'tool_use' && block.name === claudeToolName
+                ? { type: 'text', text: JSON.stringify(block.input ?? {}) }
+                : block));
+            if (data.stop_reason === 'tool_use') data.stop_reason = 'end_turn';
+        }
+        return new Response(JSON.stringify(data), init);
+    } catch {
+        return new Response(text, init);
+    }
+}
+
+function armClaudeToolUseAdapter() {
+    if (runtimeState.claudeToolUseFetch || typeof window?.fetch !== 'function') return;
+
+    const originalFetch = window.fetch;
+    const wrapper = async (input, init) => {
+        const url = typeof input === 'string' ? input : String(input?.url ?? '');
+        if (runtimeState.claudeToolUseFetch?.wrapper !== wrapper || !url.includes('/api/backends/chat-completions/generate')) {
+            return originalFetch.call(window, input, init);
+        }
+
+        // Only the request the schema was injected into is adapted.
+        disarmClaudeToolUseAdapter();
+        const response = await originalFetch.call(window, input, init);
+        try {
+            return await adaptClaudeToolUseResponse(response);
+        } catch (err) {
+            console.warn(`[${extensionName}] Failed to read the Claude tool input; passing the response through.`, err);
+            return response;
+        }
+    };
+    runtimeState.claudeToolUseFetch = { originalFetch, wrapper };
+    window.fetch = wrapper;
+}
+
+function disarmClaudeToolUseAdapter() {
+    const armed = runtimeState.claudeToolUseFetch;
+    if (!armed) return;
+    runtimeState.claudeToolUseFetch = null;
+    // If another script wrapped `fetch` after us, ours stays in its chain but only passes requests through.
+    if (window.fetch === armed.wrapper) window.fetch = armed.originalFetch;
+}
+
+// ST turns `reasoning_effort` into an extended thinking budget for Claude models that have it ('auto' leaves it off).
+function isClaudeThinkingRequest(generateData) {
+    if (String(generateData?.chat_completion_source ?? '').toLowerCase() !== 'claude') return false;
+    const effort = String(generateData.reasoning_effort ?? '').toLowerCase();
+    if (!effort || effort === 'auto') return false;
+    // Models from before extended thinking ignore the setting.
+    return !/^claude-(?:2|instant|3-(?:5-)?(?:haiku|sonnet|opus))/i.test(String(generateData.model ?? ''));
+}
+
+// Extra body fields OpenAI-compatible servers read as a raw output constraint, and what each expects.
+const customRawOutputFields = {
+    // vLLM
+    guided_regex: 'regex',
+    guided_grammar: 'gbnf',
+    // SGLang
+    regex: 'regex',
+    ebnf: 'gbnf',
+    // TabbyAPI
+    regex_pattern: 'regex',
+};
+
+function getCustomRawOutputField(generateData) {
+    const field = String(extension_settings[extensionName]?.custom_raw_output ?? '');
+    if (!Object.hasOwn(customRawOutputFields, field)) return '';
+
+    // Leave a constraint the user already set in "Additional Parameters" alone.
+    const body = String(generateData?.custom_include_body ?? '');
+    if (new RegExp(`(^|[\\s{,])["']?${escapeRegExp(field)}["']?\\s*:`, 'm').test(body)) {
+        console.warn(`[${extensionName}] Custom body already sets ${field}; using json_schema instead.`);
+        return '';
+    }
+    // A flow-style YAML body that isn't JSON can't be extended safely.
+    if (body.trim().startsWith('{')) {
+        try {
+            JSON.parse(body);
+        } catch {
+            return '';
+        }
+    }
+    return field;
+}
+
+function addCustomIncludeBodyField(generateData, field, value) {
+    // ST parses `custom_include_body` as YAML and merges it into the request body.
+    const body = String(generateData.custom_include_body ?? '').replace(/\s+$/, '');
+    if (body.trim().startsWith('{')) {
+        generateData.custom_include_body = JSON.stringify({ ...JSON.parse(body), [field]: value });
+        return;
+    }
+    // A JSON string is also a valid YAML double-quoted scalar.
+    generateData.custom_include_body = `${body ? `${body}\n` : ''}${field}: ${JSON.stringify(value)}`;
+}
+
+function supportsStructuredPrefillForSource(chatCompletionSource, modelId = '') {
+    return resolveCapabilities(String(chatCompletionSource ?? '').toLowerCase(), modelId).schema;
 }
 
 function normalizeNewlines(text) {
     return String(text ?? '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 }
 
+// Template escapes: `\[[` and `\]]` stand for literal `[[` / `]]`. Every slot scan skips an escaped `[[`
+// (lookbehind is fine here: these regexes only run locally, never inside a schema pattern).
+function templateSlotRegex() {
+    return /(?<!\\)\[\[([^\]]+?)\]\]/g;
+}
+
+function escapeTemplateLiteral(text) {
+    // For raw chat text that becomes part of a template (Continue base/overlap).
+    return String(text ?? '').replace(/\[\[/g, '\\[[');
+}
+
+function unescapeTemplateLiteral(text) {
+    return String(text ?? '').replace(/\\(\[\[|\]\])/g, '$1');
+}
+
 function prefixHasSlots(prefix) {
-    return /\[\[[^\]]+?\]\]/.test(String(prefix ?? ''));
+    return /(?<!\\)\[\[[^\]]+?\]\]/.test(String(prefix ?? ''));
 }
 
 function looksLikeStructuredJsonBlob(text) {
     const s = String(text ?? '');
     if (!s.includes('{') || !s.includes('"')) return false;
     // Detect our JSON wrapper even if it appears *after* a Continue base message ("Foo... {\"response\":\"...\"}").
-    return /\{\s*"(?:response|value|prefix|content)"\s*:/.test(s);
+    return /\{\s*"(?:thinking|response|value|prefix|content)"\s*:/.test(s);
 }
 
 function clearHidePrefillState() {
@@ -570,6 +1067,11 @@ function clearHidePrefillState() {
     runtimeState.hidePrefillRegex = null;
 }
 
+function clearSlotCaptureState() {
+    runtimeState.slotCaptureRegex = null;
+    runtimeState.slotCaptureGroups = [];
+}
+
 function clearContinueState() {
     runtimeState.continue.active = false;
     runtimeState.continue.messageId = -1;
@@ -645,17 +1147,24 @@ function getDecodedValueForGuard(rawText) {
     try {
         const parsed = JSON.parse(String(rawText ?? ''));
         if (parsed && typeof parsed === 'object') {
-            if (typeof parsed.response === 'string') return decode(parsed.response);
+            if (typeof parsed.response === 'string') return withThinking(decode(parsed.response));
             if (typeof parsed.value === 'string') return decode(parsed.value);
         }
     } catch {
         // ignore
     }
     const response = tryExtractJsonStringField(String(rawText ?? ''), 'response');
-    if (typeof response === 'string') return decode(response);
+    if (typeof response === 'string') return withThinking(decode(response));
     const legacy = tryExtractJsonStringField(String(rawText ?? ''), 'value');
     if (typeof legacy === 'string') return decode(legacy);
-    return null;
+    return runtimeState.thinkingField ? withThinking('') : null;
+}
+
+function withThinking(decodedResponse) {
+    // While the scratchpad streams, `response` doesn't move; count thinking as progress so the stall guard
+    // doesn't stop a long (but healthy) reasoning phase.
+    if (!runtimeState.thinkingField) return decodedResponse;
+    return `${runtimeState.latestThinking ?? ''}${decodedResponse}`;
 }
 
 function isSuspiciousPaddingDelta(delta) {
@@ -747,7 +1256,7 @@ function splitHidePrefillTemplate(prefixTemplate) {
     // When "Hide prefill text" is enabled, users can place `[[keep]]` inside the prefill template.
     // Everything *before* the marker is hidden; everything after stays visible.
     // The marker itself is not meant to be output by the model (it matches empty in the schema regex).
-    const markerRe = /\[\[\s*keep\s*\]\]/i;
+    const markerRe = /(?<!\\)\[\[\s*keep\s*\]\]/i;
     const m = markerRe.exec(normalized);
     if (!m) return { hideTemplate: normalized, hasKeepMarker: false };
 
@@ -766,7 +1275,7 @@ function splitEndPrefillTemplate(prefixTemplate) {
     //
     // Everything after the marker is ignored for schema/stripping purposes. This lets users
     // keep comments/notes after `[[end]]` without affecting the enforced output.
-    const markerRe = /\[\[\s*(end|stop|eos)\s*\]\]/i;
+    const markerRe = /(?<!\\)\[\[\s*(end|stop|eos)\s*\]\]/i;
     const m = markerRe.exec(normalized);
     if (!m) return { template: normalized, hasEndMarker: false };
 
@@ -776,12 +1285,56 @@ function splitEndPrefillTemplate(prefixTemplate) {
     };
 }
 
+function parseLengthDirective(placeholderBody) {
+    // `len:150-400w` (words), `len:200-800` / `len:200-800c` (chars), `len:400w` (max only), `len:150-w` (min only).
+    const m = /^len(?:gth)?\s*:\s*(\d+)?\s*(-)?\s*(\d+)?\s*(w|words?|c|chars?)?\s*$/i.exec(String(placeholderBody ?? '').trim());
+    if (!m || (m[1] == null && m[3] == null)) return null;
+    const unit = /^w/i.test(m[4] ?? '') ? 'words' : 'chars';
+    if (!m[2]) return { min: null, max: Number(m[1] ?? m[3]), unit };
+    return { min: m[1] != null ? Number(m[1]) : null, max: m[3] != null ? Number(m[3]) : null, unit };
+}
+
+function splitLengthDirective(prefixTemplate) {
+    // `[[len:...]]` can sit anywhere in the template; it is removed and the last one wins.
+    let bounds = null;
+    const template = String(prefixTemplate ?? '').replace(/(?<!\\)\[\[\s*(len(?:gth)?\s*:[^\]]*?)\]\]/gi, (match, body) => {
+        bounds = parseLengthDirective(body) ?? bounds;
+        return '';
+    });
+    return { template, bounds };
+}
+
+function resolveLengthBounds(directiveBounds, minChars, { useGlobal = true } = {}) {
+    const settings = extension_settings[extensionName] ?? {};
+    const globalMax = useGlobal ? clampInt(settings.max_after_prefix, 0, 100000, 0) : 0;
+    const bounds = directiveBounds ?? (globalMax > 0
+        ? { min: null, max: globalMax, unit: settings.max_after_prefix_unit === 'words' ? 'words' : 'chars' }
+        : null);
+    if (!bounds || bounds.max == null && bounds.min == null) return null;
+
+    // Without an explicit minimum, chars keep `min_chars_after_prefix` (Anthropic mode never enforced it) and
+    // words need at least one word.
+    const defaultMin = bounds.unit === 'words' || runtimeState.patternMode === 'anthropic' ? 1 : minChars;
+    let max = bounds.max != null ? clampInt(bounds.max, 1, 100000, 1) : null;
+    let min = bounds.min != null ? clampInt(bounds.min, 1, 100000, 1) : defaultMin;
+    if (max != null && min > max) {
+        if (bounds.min != null) {
+            [min, max] = [max, min];
+        } else {
+            // A cap below `min_chars_after_prefix` would force that exact length; the cap wins and the minimum goes.
+            console.warn(`[${extensionName}] Length cap of ${max} ${bounds.unit} is below the minimum of ${min}; ignoring the minimum.`);
+            min = 1;
+        }
+    }
+    return { min, max, unit: bounds.unit };
+}
+
 function buildPrefillStripper(prefixTemplate) {
     const { hideTemplate } = splitHidePrefillTemplate(prefixTemplate);
     if (!hideTemplate) return;
 
     if (!prefixHasSlots(hideTemplate)) {
-        runtimeState.hidePrefillLiteral = hideTemplate;
+        runtimeState.hidePrefillLiteral = unescapeTemplateLiteral(hideTemplate);
         runtimeState.hidePrefillRegex = null;
         return;
     }
@@ -792,7 +1345,149 @@ function buildPrefillStripper(prefixTemplate) {
     } catch (err) {
         console.warn(`[${extensionName}] Failed to build hide-prefill regex; falling back to literal stripping only.`, err);
         runtimeState.hidePrefillRegex = null;
-        runtimeState.hidePrefillLiteral = hideTemplate;
+        runtimeState.hidePrefillLiteral = unescapeTemplateLiteral(hideTemplate);
+    }
+}
+
+function buildSlotCaptureMatcher(prefixTemplate) {
+    const normalized = normalizeNewlines(prefixTemplate);
+    if (!normalized || !prefixHasSlots(normalized)) return;
+
+    const captureGroups = [];
+    const prefixRegex = buildPrefixRegexFromWireTemplate(normalized, { captureGroups });
+    if (captureGroups.length === 0) return;
+
+    try {
+        runtimeState.slotCaptureRegex = new RegExp(`^(?:${prefixRegex})`);
+        runtimeState.slotCaptureGroups = captureGroups;
+    } catch (err) {
+        console.warn(`[${extensionName}] Failed to build slot-capture regex; named slots will not be extracted.`, err);
+        clearSlotCaptureState();
+    }
+}
+
+function extractSlotValues(text) {
+    if (!(runtimeState.slotCaptureRegex instanceof RegExp)) return null;
+    const m = runtimeState.slotCaptureRegex.exec(normalizeNewlines(String(text ?? '')));
+    if (!m?.groups) return null;
+
+    const values = {};
+    for (const { group, name } of runtimeState.slotCaptureGroups) {
+        const value = m.groups[group];
+        if (name && typeof value === 'string') values[name] = value;
+    }
+    return Object.keys(values).length > 0 ? values : null;
+}
+
+function extractExpressionLabel(text) {
+    if (!(runtimeState.slotCaptureRegex instanceof RegExp)) return '';
+    const m = runtimeState.slotCaptureRegex.exec(normalizeNewlines(String(text ?? '')));
+    if (!m?.groups) return '';
+
+    const first = runtimeState.slotCaptureGroups.find(g => g.emotion && typeof m.groups[g.group] === 'string');
+    return first ? m.groups[first.group] : '';
+}
+
+function isEmotionSlotSpec(spec) {
+    return /^(emotion|mood)\s*$/i.test(String(spec ?? '').trim());
+}
+
+function templateHasEmotionSlot(template) {
+    const slotRe = templateSlotRegex();
+    const s = String(template ?? '');
+    let m;
+    while ((m = slotRe.exec(s)) !== null) {
+        if (isEmotionSlotSpec(parseSlotBody(m[1]).spec)) return true;
+    }
+    return false;
+}
+
+async function fetchExpressionLabels(characterName) {
+    // Mirror the Expressions extension's folder lookup: the character name, unless an override is set for the avatar.
+    const context = SillyTavern.getContext();
+    const avatar = String(context?.characters?.[context?.characterId]?.avatar ?? '').replace(/\.[^.]+$/, '');
+    const overrides = Array.isArray(extension_settings?.expressionOverrides) ? extension_settings.expressionOverrides : [];
+    const override = overrides.find(o => o?.name === avatar);
+    const folder = String(override?.path || characterName || '').trim();
+    if (!folder) return [];
+
+    try {
+        const res = await fetch(`/api/sprites/get?name=${encodeURIComponent(folder)}`, { headers: getRequestHeaders() });
+        if (!res.ok) return [];
+        const sprites = await res.json();
+        const labels = Array.isArray(sprites) ? sprites.map(x => String(x?.label ?? '').trim()).filter(Boolean) : [];
+        return Array.from(new Set(labels)).sort((a, b) => b.length - a.length);
+    } catch (err) {
+        console.warn(`[${extensionName}] Failed to load expression sprites for "${folder}".`, err);
+        return [];
+    }
+}
+
+async function pushExpressionLabel(label) {
+    const value = String(label ?? '').trim();
+    if (!value) return;
+
+    // Go through the Expressions slash command so we don't depend on that extension's module internals.
+    const context = SillyTavern.getContext();
+    const command = `/expression-set ${value}`;
+    try {
+        if (typeof context?.executeSlashCommandsWithOptions === 'function') {
+            await context.executeSlashCommandsWithOptions(command, { handleExecutionErrors: true });
+        } else if (typeof context?.executeSlashCommands === 'function') {
+            await context.executeSlashCommands(command);
+        }
+    } catch (err) {
+        console.warn(`[${extensionName}] Failed to set expression "${value}".`, err);
+    }
+}
+
+function applySlotCapturesForMessage(messageId, text) {
+    // Named rolls (`[[dice:1d20 as roll]]`) are already literals in the template, but are exposed like named slots.
+    const namedRolls = Object.fromEntries(runtimeState.rolls.filter(r => r.name).map(r => [r.name, r.value]));
+    const values = { ...namedRolls, ...(extractSlotValues(text) ?? {}) };
+    storeSlotValuesForMessage(messageId, Object.keys(values).length > 0 ? values : null);
+
+    const label = extractExpressionLabel(text);
+    if (label) {
+        const meta = chat?.[messageId]?.extra?.structuredprefill;
+        if (meta && typeof meta === 'object') meta.expression = label;
+        pushExpressionLabel(label);
+    }
+}
+
+function setLocalChatVariable(name, value) {
+    const context = SillyTavern.getContext();
+    if (typeof context?.variables?.local?.set === 'function') {
+        context.variables.local.set(name, value);
+        return;
+    }
+
+    // Older ST builds: write straight into chat metadata, which is where `{{getvar::...}}` reads from.
+    const metadata = context?.chatMetadata;
+    if (!metadata || typeof metadata !== 'object') return;
+    metadata.variables ??= {};
+    metadata.variables[name] = value;
+    (context.saveMetadataDebounced ?? context.saveMetadata)?.();
+}
+
+function storeSlotValuesForMessage(messageId, values) {
+    if (!values || typeof values !== 'object') return;
+    const message = chat?.[messageId];
+    if (!message || message.is_user || message.is_system) return;
+
+    message.extra ??= {};
+    const meta = (message.extra.structuredprefill && typeof message.extra.structuredprefill === 'object')
+        ? message.extra.structuredprefill
+        : {};
+    meta.slots = { ...values };
+    message.extra.structuredprefill = meta;
+
+    for (const [name, value] of Object.entries(values)) {
+        try {
+            setLocalChatVariable(name, value);
+        } catch (err) {
+            console.warn(`[${extensionName}] Failed to set chat variable "${name}".`, err);
+        }
     }
 }
 
@@ -803,7 +1498,7 @@ function buildContinueStripper(prefixTemplate) {
     // For Continue, we always strip the *entire* structured prefix from the model output delta, then re-prepend the
     // real chat message text from ST (so we keep the message being continued, without duplicating it).
     if (!prefixHasSlots(normalized)) {
-        runtimeState.continue.stripLiteral = normalized;
+        runtimeState.continue.stripLiteral = unescapeTemplateLiteral(normalized);
         runtimeState.continue.stripRegex = null;
         return;
     }
@@ -815,7 +1510,7 @@ function buildContinueStripper(prefixTemplate) {
     } catch (err) {
         console.warn(`[${extensionName}] Failed to build continue-strip regex; falling back to literal stripping only.`, err);
         runtimeState.continue.stripRegex = null;
-        runtimeState.continue.stripLiteral = normalized;
+        runtimeState.continue.stripLiteral = unescapeTemplateLiteral(normalized);
     }
 }
 
@@ -824,7 +1519,7 @@ function buildContinuePmStripper(prefixTemplate) {
     if (!normalized) return;
 
     if (!prefixHasSlots(normalized)) {
-        runtimeState.continue.pmStripLiteral = normalized;
+        runtimeState.continue.pmStripLiteral = unescapeTemplateLiteral(normalized);
         runtimeState.continue.pmStripRegex = null;
         return;
     }
@@ -836,7 +1531,7 @@ function buildContinuePmStripper(prefixTemplate) {
     } catch (err) {
         console.warn(`[${extensionName}] Failed to build continue-pm-strip regex; falling back to literal stripping only.`, err);
         runtimeState.continue.pmStripRegex = null;
-        runtimeState.continue.pmStripLiteral = normalized;
+        runtimeState.continue.pmStripLiteral = unescapeTemplateLiteral(normalized);
     }
 }
 
@@ -1007,6 +1702,22 @@ function storePrefillMetadataForMessage(messageId, prefixTemplate) {
     meta.prefixTemplate = prefix;
     meta.hideTemplate = hideTemplate;
     meta.hasKeepMarker = Boolean(hasKeepMarker);
+    if (runtimeState.rolls.length > 0) {
+        meta.rolls = runtimeState.rolls.map(r => ({ ...r }));
+    } else {
+        delete meta.rolls;
+    }
+    // Slots whose options were resolved for this generation must rebuild the same pattern when the message is edited.
+    if (runtimeState.loreOptions?.size > 0) {
+        meta.loreOptions = [...runtimeState.loreOptions].map(([key, options]) => [key, [...options]]);
+    } else {
+        delete meta.loreOptions;
+    }
+    if (runtimeState.expressionLabels.length > 0) {
+        meta.expressionLabels = [...runtimeState.expressionLabels];
+    } else {
+        delete meta.expressionLabels;
+    }
     message.extra.structuredprefill = meta;
 }
 
@@ -1015,8 +1726,9 @@ function tryStripPrefixForDisplayFromTemplate(fullText, prefixTemplate) {
     const prefix = normalizeNewlines(String(prefixTemplate ?? ''));
     if (!normalized || !prefix) return normalized;
 
+    const literal = unescapeTemplateLiteral(prefix);
     if (!prefixHasSlots(prefix)) {
-        return normalized.startsWith(prefix) ? normalized.slice(prefix.length) : normalized;
+        return normalized.startsWith(literal) ? normalized.slice(literal.length) : normalized;
     }
 
     const prefixRegex = buildPrefixRegexFromWireTemplate(prefix);
@@ -1031,7 +1743,7 @@ function tryStripPrefixForDisplayFromTemplate(fullText, prefixTemplate) {
     }
 
     // Fallback: literal attempt even if slots exist (better than nothing).
-    return normalized.startsWith(prefix) ? normalized.slice(prefix.length) : normalized;
+    return normalized.startsWith(literal) ? normalized.slice(literal.length) : normalized;
 }
 
 function onMessageUpdated(messageId) {
@@ -1050,7 +1762,16 @@ function onMessageUpdated(messageId) {
     const hideTemplate = typeof meta.hideTemplate === 'string' ? meta.hideTemplate : '';
     if (!hideTemplate) return;
 
-    const stripped = tryStripPrefixForDisplayFromTemplate(message.mes, hideTemplate);
+    // Rebuild `[[lore:...]]` / `[[emotion]]` slots from the options this message was generated with, not the current ones.
+    const saved = { loreOptions: runtimeState.loreOptions, expressionLabels: runtimeState.expressionLabels };
+    let stripped;
+    try {
+        runtimeState.loreOptions = new Map(Array.isArray(meta.loreOptions) ? meta.loreOptions : []);
+        runtimeState.expressionLabels = Array.isArray(meta.expressionLabels) ? meta.expressionLabels : [];
+        stripped = tryStripPrefixForDisplayFromTemplate(message.mes, hideTemplate);
+    } finally {
+        Object.assign(runtimeState, saved);
+    }
     message.extra ??= {};
 
     // Strip the prefill from mes itself so it doesn't enter the AI's context.
@@ -1240,6 +1961,11 @@ function stripContinuePrefix(text) {
     return normalized;
 }
 
+function chooseOutputNewlineToken(prefix, preferredToken) {
+    // Raw output carries real newlines, so the "token" is the newline itself.
+    return runtimeState.rawOutput ? '\n' : chooseNewlineToken(prefix, preferredToken);
+}
+
 function chooseNewlineToken(prefix, preferredToken) {
     let token = String(preferredToken ?? '').trim();
     if (!token || /[\r\n]/.test(token)) token = '<NL>';
@@ -1293,6 +2019,11 @@ function sanitizeUserRegex(raw) {
     return s.trim();
 }
 
+// Anthropic/OpenRouter rejects some regex features (notably `\S` and some range quantifiers).
+function isRegexRiskyForConservativeMode(regex) {
+    return /[{}]/.test(regex) || /\\S/.test(regex);
+}
+
 function parseOptionsList(raw) {
     const parts = String(raw ?? '')
         .split(/[|,]/g)
@@ -1308,118 +2039,822 @@ function anyCharIncludingNewlineExpr() {
 }
 
 function getPatternModeForRequest(source, modelId) {
-    const src = String(source ?? '').toLowerCase();
-    const model = String(modelId ?? '').toLowerCase();
+    // The conservative pattern set is the only one without `{n,m}` and non-ASCII, so either restriction selects it.
+    const caps = resolveCapabilities(String(source ?? '').toLowerCase(), modelId);
+    return caps.dialect === 'anthropic' || !caps.ranges || caps.asciiOnly ? 'anthropic' : 'default';
+}
 
-    // Direct Anthropic/Claude provider implementations tend to have stricter schema-regex support than OpenAI.
-    // Use the conservative pattern set to avoid rejected patterns like `\\S` and some `{n,m}` quantifiers.
-    if (src === 'claude' || src === 'anthropic') {
-        return 'anthropic';
+const antiSlopWordChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_';
+const antiSlopWhitespaceChars = ' \t\r\n';
+// Stands for "any character not named by any entry" when partitioning the alphabet.
+const antiSlopOtherSymbol = '';
+
+/**
+ * Parse one ban-list line into an entry.
+ * - `gaze`         substring, case-insensitive (also bans `gazebo`)
+ * - `<gaze>`       whole word; `<gaze` / `gaze>` anchor only one side
+ * - `ministration*` stem: any word starting with `ministration`
+ * - `"a shiver ran down"` phrase: whole words, any run of whitespace between them (`"..."*` leaves the end open)
+ * - `!Elara`       case-sensitive (combines with the above)
+ * - `\<3`          a leading backslash turns the rest into a plain substring entry
+ */
+function parseAntiSlopEntry(line) {
+    let text = String(line ?? '').trim();
+    if (!text) return null;
+
+    if (text.startsWith('\\')) {
+        text = text.slice(1);
+        return text ? { text, caseSensitive: false, wordStart: false, wordEnd: false, phrase: false } : null;
     }
 
-    // OpenRouter routes to many providers. When the routed provider is Anthropic, their schema-regex
-    // implementation is stricter than OpenAI's and rejects several patterns we use (notably `\S` and
-    // some `{n,m}` range quantifiers). Use a more conservative pattern set.
-    if (src === 'openrouter' && (model.startsWith('anthropic/') || model.includes('claude'))) {
-        return 'anthropic';
+    let caseSensitive = false;
+    if (text.startsWith('!') && text.length > 1) {
+        caseSensitive = true;
+        text = text.slice(1).trim();
     }
 
-    // OpenAI-compatible providers (proxies, etc.) routing to Anthropic/Claude models have the same
-    // strict regex limitations. Detect by model name.
-    if (model.includes('claude') || model.includes('anthropic')) {
-        return 'anthropic';
+    const quoted = /^"(.+)"(\*?)$/.exec(text);
+    if (quoted) {
+        let inner = quoted[1].trim();
+        let stem = quoted[2] === '*';
+        if (inner.endsWith('*')) {
+            stem = true;
+            inner = inner.slice(0, -1).trim();
+        }
+        if (!inner) return null;
+        return { text: inner, caseSensitive, wordStart: true, wordEnd: !stem, phrase: true };
     }
 
-    return 'default';
+    let wordStart = false;
+    let wordEnd = false;
+    if (text.startsWith('<')) {
+        wordStart = true;
+        text = text.slice(1);
+    }
+    if (text.endsWith('*')) {
+        wordStart = true;
+        text = text.slice(0, -1);
+    } else if (text.endsWith('>')) {
+        wordEnd = true;
+        text = text.slice(0, -1);
+    }
+    text = text.trim();
+    if (!text) return null;
+    return { text, caseSensitive, wordStart, wordEnd, phrase: false };
 }
 
-/**
- * Build a DFA-complement regex from the anti-slop ban list.
- * Returns a regex group that matches one "step" (1+ chars) without completing
- * any banned word, or null if the list is empty / unsupported.
- * Usage: replace `(?:.|\\n)` with the returned group in the continuation.
- *
- * Approach: build a trie of banned words, then convert it to a complement regex.
- * Each iteration of the outer group consumes 1+ chars without completing any banned word.
- * E.g. banning "gaze" → ([^gG]|[gG]([^aA]|[aA]([^zZ]|[zZ][^eE])))
- */
-function buildAntiSlopContinuation(banListStr) {
-    const raw = String(banListStr ?? '');
-    if (!raw.trim()) return null;
+function antiSlopEntryKey(entry) {
+    const text = entry.caseSensitive ? entry.text : entry.text.toLowerCase();
+    return `${entry.caseSensitive ? '!' : ''}${entry.wordStart ? '<' : ''}${entry.phrase ? '"' : ''}${text}${entry.wordEnd ? '>' : ''}`;
+}
 
-    const seen = new Set();
-    const words = [];
-    for (const line of raw.split('\n')) {
-        const entry = line.trim();
-        if (!entry || seen.has(entry.toLowerCase())) continue;
-        seen.add(entry.toLowerCase());
-        words.push(entry);
-    }
-    if (words.length === 0) return null;
-
-    // Build trie (keyed by lowercase)
-    const mkNode = () => ({ ch: new Map(), end: false });
-    const root = mkNode();
-    for (const word of words) {
-        let node = root;
-        for (const c of word) {
-            const k = c.toLowerCase();
-            if (!node.ch.has(k)) node.ch.set(k, mkNode());
-            node = node.ch.get(k);
-        }
-        node.end = true;
-    }
-
-    const escClass = (c) => (c === ']' || c === '\\' || c === '^' || c === '-') ? '\\' + c : c;
-
-    // Recursively convert a trie node to a complement regex group.
-    // The returned group matches one "safe step" from this node's perspective.
-    function toRegex(node) {
-        if (node.ch.size === 0) return null; // leaf — no further constraints
-
-        const excludes = []; // chars to exclude in the safe catch-all class
-        const branches = []; // branches for chars that start a potential match
-
-        for (const [key, child] of node.ch) {
-            const lo = key.toLowerCase();
-            const up = key.toUpperCase();
-            const hasCase = lo !== up;
-            excludes.push(escClass(lo));
-            if (hasCase) excludes.push(escClass(up));
-
-            if (child.end) {
-                // This char completes a banned word — blocked by the exclude class.
-                // Even if the child has further children (longer words sharing this prefix),
-                // the shorter banned word already blocks this path.
+function antiSlopSetHas(set, symbol) {
+    return set.neg ? !set.chars.has(symbol) : set.chars.has(symbol);
+}
+
+function antiSlopEntryAtoms(entry) {
+    // Each atom is a char set; `loop` atoms match one or more chars (flexible whitespace, leading boundary runs).
+    const nonWord = { neg: true, chars: new Set(antiSlopWordChars) };
+    const atoms = [];
+    // The leading boundary loops so runs like `.\n\n` or `"  ` before the word still count as one boundary.
+    if (entry.wordStart) atoms.push({ set: nonWord, loop: true });
+    // Code units, not code points: the pattern is matched without the `u` flag.
+    for (const c of entry.text.split('')) {
+        if (entry.phrase && /\s/.test(c)) {
+            if (!atoms.at(-1)?.loop || atoms.length === 1) {
+                atoms.push({ set: { neg: false, chars: new Set(antiSlopWhitespaceChars) }, loop: true });
+            }
+            continue;
+        }
+        const chars = new Set([c]);
+        if (!entry.caseSensitive) {
+            for (const variant of [c.toLowerCase(), c.toUpperCase()]) {
+                if (variant.length === 1) chars.add(variant);
+            }
+        }
+        atoms.push({ set: { neg: false, chars }, loop: false });
+    }
+    // End of text counts as a boundary too, so a trailing word-end atom is also satisfied by stopping there.
+    if (entry.wordEnd) atoms.push({ set: nonWord, loop: false, boundary: true });
+    return atoms;
+}
+
+function compressCharClassBody(chars) {
+    const esc = (c) => {
+        if (c === '\n') return '\\n';
+        if (c === '\r') return '\\r';
+        if (c === '\t') return '\\t';
+        if (c === '\f') return '\\f';
+        if (c === '\v') return '\\v';
+        return (c === ']' || c === '[' || c === '\\' || c === '^' || c === '-') ? '\\' + c : c;
+    };
+    const codes = Array.from(new Set(chars)).map(c => c.charCodeAt(0)).sort((a, b) => a - b);
+    let out = '';
+    for (let i = 0; i < codes.length;) {
+        let j = i;
+        while (j + 1 < codes.length && codes[j + 1] === codes[j] + 1) j++;
+        const from = String.fromCharCode(codes[i]);
+        const to = String.fromCharCode(codes[j]);
+        if (j - i >= 2) out += `${esc(from)}-${esc(to)}`;
+        else out += codes.slice(i, j + 1).map(code => esc(String.fromCharCode(code))).join('');
+        i = j + 1;
+    }
+    return out;
+}
+
+/**
+ * Merge equivalent anti-slop DFA states in place (Moore partition refinement).
+ * Homes stay distinct; everything else is split by "stopping here is banned" and then by where each symbol leads.
+ * Merged states share one class per target in the emitted regex (e.g. `maze`/`haze`/`daze` → `[DHMdhm]aze`).
+ */
+function minimizeAntiSlopStates(states, endBanned, symbols, homeKeys) {
+    const keys = [...states.keys()];
+    let blockOf = new Map(keys.map(k => [k, homeKeys.includes(k) ? `home:${k}` : (endBanned.has(k) ? 'end' : 'open')]));
+    let blockCount = new Set(blockOf.values()).size;
+
+    for (;;) {
+        const ids = new Map();
+        const next = new Map();
+        for (const key of keys) {
+            const trans = states.get(key);
+            const targets = symbols.map((symbol) => {
+                const target = trans.get(symbol);
+                return target === 'ban' ? 'ban' : blockOf.get(target);
+            });
+            const signature = `${blockOf.get(key)}|${targets.join(',')}`;
+            if (!ids.has(signature)) ids.set(signature, homeKeys.includes(key) ? `home:${key}` : `b${ids.size}`);
+            next.set(key, ids.get(signature));
+        }
+        blockOf = next;
+        if (ids.size === blockCount) break;
+        blockCount = ids.size;
+    }
+
+    // Homes represent their own block; other blocks keep their first member.
+    const repOf = new Map();
+    for (const key of [...homeKeys, ...keys]) {
+        if (!repOf.has(blockOf.get(key))) repOf.set(blockOf.get(key), key);
+    }
+    const canonical = (key) => (key === 'ban' ? key : repOf.get(blockOf.get(key)));
+    for (const key of keys) {
+        if (canonical(key) !== key) {
+            states.delete(key);
+            endBanned.delete(key);
+            continue;
+        }
+        const trans = states.get(key);
+        for (const [symbol, target] of trans) trans.set(symbol, canonical(target));
+    }
+}
+
+/**
+ * Build a DFA-complement regex from the anti-slop ban list.
+ * Returns `{ step, tail, token }` or null if the list is empty / unsupported:
+ * - `step` matches one "step" (1+ chars) without completing any banned entry; it replaces `(?:.|\\n)` in the continuation.
+ * - `tail` is an optional trailing partial step, so text may end part-way into a possible match (e.g. on `.` or `g`).
+ * - `token` is a whole non-empty run starting at a word boundary, for slot contents.
+ * `exclude` lists chars that may never appear (a slot's own disallowed chars); `allow`, when given, is the only chars
+ * that may appear at all (a `[[re:[a-z ]+]]` slot's class).
+ *
+ * Approach: compile every entry to a sequence of char-set atoms and run subset construction over the alphabet
+ * partitioned into the chars the entries name plus "everything else". Like the old trie, a match in progress is not
+ * re-seeded: once nothing is alive the path restarts from one of two "home" states, depending on whether the char
+ * that ended it was a word char (mid-word: only plain substring entries may start) or not (a boundary: whole-word
+ * entries may start too). Away from the homes the states form a DAG plus self-loops (flexible whitespace, boundary
+ * runs), so each one becomes a complement group with a `[...]*` prefix for its loop. No lookarounds are needed.
+ * The continuation is assumed to start mid-word, so a whole-word entry as its very first word isn't caught.
+ * E.g. banning "gaze" → (?:[^Gg]|[Gg](?:[^Aa]|[Aa](?:[^Zz]|[Zz][^Ee])))
+ */
+function compileAntiSlopContinuation(raw, exclude, allow) {
+
+    const seen = new Set();
+    const entries = [];
+    const wordStartEntries = new Set();
+    for (const line of raw.split('\n')) {
+        const entry = parseAntiSlopEntry(line);
+        if (!entry) continue;
+        const key = antiSlopEntryKey(entry);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (entry.wordStart) wordStartEntries.add(entries.length);
+        entries.push(antiSlopEntryAtoms(entry));
+    }
+    if (entries.length === 0) return null;
+
+    // Excluded chars join the alphabet so "everything else" classes leave them out, and are never allowed themselves.
+    // An allow-list does the same the other way round: its chars join the alphabet and everything else is excluded.
+    const excluded = new Set(String(exclude ?? '').split(''));
+    const allowed = allow == null ? null : new Set(String(allow).split(''));
+    const alphabet = new Set([...excluded, ...(allowed ?? [])]);
+    for (const atoms of entries) {
+        for (const atom of atoms) {
+            for (const c of atom.set.chars) alphabet.add(c);
+        }
+    }
+    if (allowed) {
+        for (const c of alphabet) {
+            if (!allowed.has(c)) excluded.add(c);
+        }
+        excluded.add(antiSlopOtherSymbol);
+    }
+    const symbols = [...alphabet, antiSlopOtherSymbol];
+    // Any boundary atom puts every word char into the alphabet, so "everything else" is then always a non-word char.
+    const isWordSymbol = (symbol) => symbol !== antiSlopOtherSymbol && antiSlopWordChars.includes(symbol);
+
+    // NFA position `i:p` = entry `i` with its first `p` atoms matched. A DFA state is a set of live positions.
+    const keyOf = (positions) => positions.map(([i, p]) => `${i}:${p}`).sort().join(',');
+    const homeWPositions = entries.map((_, i) => [i, 0]).filter(([i]) => !wordStartEntries.has(i));
+    const homeBPositions = [...homeWPositions, ...[...wordStartEntries].map(i => [i, 1])];
+    const homeBKey = keyOf(homeBPositions);
+    const homeWKey = keyOf(homeWPositions);
+    const homeBSet = new Set(homeBPositions.map(([i, p]) => `${i}:${p}`));
+
+    const states = new Map([[homeBKey, null], [homeWKey, null]]);
+    const endBanned = new Set();
+    const pending = [homeBPositions, homeWPositions];
+
+    while (pending.length > 0) {
+        const positions = pending.pop();
+        const key = keyOf(positions);
+        if (states.get(key)) continue;
+        if (positions.some(([i, p]) => p === entries[i].length - 1 && entries[i][p].boundary)) endBanned.add(key);
+
+        const trans = new Map();
+        for (const symbol of symbols) {
+            if (excluded.has(symbol)) {
+                trans.set(symbol, 'ban');
+                continue;
+            }
+            const next = new Map();
+            let banned = false;
+            for (const [i, p] of positions) {
+                const atoms = entries[i];
+                if (antiSlopSetHas(atoms[p].set, symbol)) {
+                    if (p + 1 === atoms.length) banned = true;
+                    else next.set(`${i}:${p + 1}`, [i, p + 1]);
+                }
+                if (p > 0 && atoms[p - 1].loop && antiSlopSetHas(atoms[p - 1].set, symbol)) {
+                    next.set(`${i}:${p}`, [i, p]);
+                }
+            }
+            if (banned) {
+                trans.set(symbol, 'ban');
                 continue;
             }
 
-            // Not end — recurse deeper
-            const charExpr = hasCase ? `[${up}${lo}]` : escClass(key);
-            const sub = toRegex(child);
-            if (sub) {
-                branches.push(`${charExpr}${sub}`);
-            } else {
-                // Child is a leaf but not end — shouldn't happen, but treat as safe
-                branches.push(charExpr);
+            // Nothing but (at most) pending boundaries left: the path is over, restart from the matching home.
+            const isWord = isWordSymbol(symbol);
+            if (next.size === 0 || (!isWord && [...next.keys()].every(k => homeBSet.has(k)))) {
+                trans.set(symbol, isWord ? homeWKey : homeBKey);
+                continue;
+            }
+
+            const nextPositions = [...next.values()];
+            const nextKey = keyOf(nextPositions);
+            trans.set(symbol, nextKey);
+            if (!states.has(nextKey)) {
+                states.set(nextKey, null);
+                pending.push(nextPositions);
             }
         }
+        states.set(key, trans);
+    }
+
+    minimizeAntiSlopStates(states, endBanned, symbols, [homeBKey, homeWKey]);
+
+    const anyChar = anyCharIncludingNewlineExpr();
+    const charClass = (syms) => {
+        if (syms.includes(antiSlopOtherSymbol)) {
+            const excluded = [...alphabet].filter(c => !syms.includes(c));
+            return excluded.length > 0 ? `[^${compressCharClassBody(excluded)}]` : anyChar;
+        }
+        if (syms.length === 1) {
+            const c = syms[0];
+            if (c === '\n') return '\\n';
+            if (c === '\r') return '\\r';
+            if (c === '\t') return '\\t';
+            if (c === '\f') return '\\f';
+            if (c === '\v') return '\\v';
+            return escapeRegExp(c);
+        }
+        return `[${compressCharClassBody(syms)}]`;
+    };
+    const alt = (parts) => (parts.length === 1 ? parts[0] : `(?:${parts.join('|')})`);
+
+    // When there are no whole-word entries both homes are the same state, and everything below reduces to the
+    // single-home trie complement.
+    const groupTransitions = (key) => {
+        const loop = [];
+        const toB = [];
+        const toW = [];
+        const targets = new Map();
+        for (const [symbol, target] of states.get(key)) {
+            if (target === 'ban') continue;
+            if (target === homeBKey) toB.push(symbol);
+            else if (target === homeWKey) toW.push(symbol);
+            else if (target === key) loop.push(symbol);
+            else {
+                if (!targets.has(target)) targets.set(target, []);
+                targets.get(target).push(symbol);
+            }
+        }
+        return { loop, toB, toW, targets };
+    };
+
+    // Distinct states often have the same walk towards one home (they only differ on the way to the other), so
+    // targets are grouped by the expression they lead to and each shared suffix is emitted once behind one class.
+    const sharedSuffixParts = (targets, suffixOf) => {
+        const bySuffix = new Map();
+        for (const [target, syms] of targets) {
+            const sub = suffixOf(target);
+            if (sub === null) continue;
+            if (!bySuffix.has(sub)) bySuffix.set(sub, []);
+            bySuffix.get(sub).push(...syms);
+        }
+        return [...bySuffix].map(([sub, syms]) => `${charClass(syms)}${sub}`);
+    };
 
-        const safeClass = `[^${excludes.join('')}]`;
-        const parts = [safeClass, ...branches];
-        return `(${parts.join('|')})`;
+    // Walks from a non-home state to the first home reached, when that home is `home` ('B' or 'W').
+    const pathMemo = new Map();
+    function pathTo(key, home) {
+        const memoKey = `${key}|${home}`;
+        if (pathMemo.has(memoKey)) return pathMemo.get(memoKey);
+        const { loop, toB, toW, targets } = groupTransitions(key);
+        const direct = home === 'B' ? toB : toW;
+        const parts = direct.length > 0 ? [charClass(direct)] : [];
+        parts.push(...sharedSuffixParts(targets, target => pathTo(target, home)));
+        let expr = null;
+        if (parts.length > 0) {
+            const body = alt(parts);
+            expr = loop.length > 0 ? `${charClass(loop)}*${body}` : body;
+        }
+        pathMemo.set(memoKey, expr);
+        return expr;
+    }
+
+    // Walks that start at a home and end at `home` without passing through another home.
+    const homeWalk = (fromKey, home) => {
+        const { toB, toW, targets } = groupTransitions(fromKey);
+        const direct = home === 'B' ? toB : toW;
+        const parts = direct.length > 0 ? [charClass(direct)] : [];
+        parts.push(...sharedSuffixParts(targets, target => pathTo(target, home)));
+        return parts;
+    };
+
+    // Like `pathTo`, but for text that stops before reaching a home. Stopping right after a whole-word match is
+    // banned, so such states must move on (null when they can't).
+    const stayMemo = new Map();
+    function tailStay(key) {
+        if (stayMemo.has(key)) return stayMemo.get(key);
+        const { loop, targets } = groupTransitions(key);
+        const parts = sharedSuffixParts(targets, tailStay);
+        let expr;
+        if (parts.length === 0) {
+            expr = endBanned.has(key) ? null : '';
+        } else {
+            expr = `(?:${parts.join('|')})${endBanned.has(key) ? '' : '?'}`;
+        }
+        if (expr !== null && loop.length > 0) expr = `${charClass(loop)}*${expr}`;
+        stayMemo.set(key, expr);
+        return expr;
+    }
+    const homeTailParts = (fromKey) => sharedSuffixParts(groupTransitions(fromKey).targets, tailStay);
+
+    // The repeated step is a walk from the mid-word home back to itself: mid-word, almost every char is its own
+    // step, so `step{n,}` still counts roughly characters. Boundary runs are a detour through the other home.
+    let stepParts;
+    let tailParts;
+    if (homeWKey === homeBKey) {
+        stepParts = homeWalk(homeBKey, 'B');
+        tailParts = homeTailParts(homeBKey);
+    } else {
+        const exitW = homeWalk(homeWKey, 'B');
+        const cycleB = homeWalk(homeBKey, 'B');
+        const enterW = homeWalk(homeBKey, 'W');
+        const cycle = cycleB.length > 0 ? `(?:${cycleB.join('|')})*` : '';
+        stepParts = homeWalk(homeWKey, 'W');
+        tailParts = homeTailParts(homeWKey);
+        if (exitW.length > 0) {
+            if (enterW.length > 0) stepParts.push(`${alt(exitW)}${cycle}${alt(enterW)}`);
+            const bTail = homeTailParts(homeBKey);
+            tailParts.push(`${alt(exitW)}${cycle}${bTail.length > 0 ? `(?:${bTail.join('|')})?` : ''}`);
+        }
     }
+    if (stepParts.length === 0) return null;
+
+    // The step is repeated as a whole (`step+`), so it always gets its own group.
+    const step = `(?:${stepParts.join('|')})`;
+    const tail = tailParts.length > 0 ? `(?:${tailParts.join('|')})?` : '';
 
-    const expr = toRegex(root);
-    if (!expr) return null;
+    // `token`: any non-empty run that starts at a word boundary (slot contents follow whitespace or a literal).
+    let token;
+    if (homeWKey === homeBKey) {
+        token = tailParts.length > 0 ? `(?:${step}+${tail}|${alt(tailParts)})` : `${step}+`;
+    } else {
+        const cycleB = homeWalk(homeBKey, 'B');
+        const enterW = homeWalk(homeBKey, 'W');
+        const bTail = homeTailParts(homeBKey);
+        // Never entering a word means only boundary walks; otherwise boundary walks lead into the first word.
+        const entries = [];
+        if (enterW.length > 0) entries.push(`${alt(enterW)}${step}*${tail}`);
+        entries.push(...bTail);
+        if (cycleB.length > 0) entries.push(alt(cycleB));
+        if (entries.length === 0) return null;
+        token = `${cycleB.length > 0 ? `(?:${cycleB.join('|')})*` : ''}(?:${entries.join('|')})`;
+    }
 
     try {
-        new RegExp(expr);
+        new RegExp(`${step}+${tail}`);
+        new RegExp(token);
     } catch {
         console.warn(`[${extensionName}] Anti-slop pattern failed validation, skipping.`);
         return null;
     }
-    return expr;
+    return { step, tail, token };
+}
+
+// Compiled ban lists keyed by allowed/excluded chars + list text. Every request rebuilds the same few (one per slot
+// kind, plus each slice the byte-budget search tries), so they are kept until the list changes.
+const antiSlopBuildCache = new Map();
+const antiSlopBuildCacheLimit = 64;
+
+function buildAntiSlopContinuation(banListStr, { exclude = '', allow = null } = {}) {
+    const raw = String(banListStr ?? '');
+    if (!raw.trim()) return null;
+    const key = `${allow == null ? '' : `${allow}\u0001`}${String(exclude ?? '')}\u0000${raw}`;
+    if (antiSlopBuildCache.has(key)) return antiSlopBuildCache.get(key);
+
+    const built = compileAntiSlopContinuation(raw, String(exclude ?? ''), allow);
+    if (antiSlopBuildCache.size >= antiSlopBuildCacheLimit) {
+        antiSlopBuildCache.delete(antiSlopBuildCache.keys().next().value);
+    }
+    antiSlopBuildCache.set(key, built);
+    return built;
+}
+
+// Key under a character card's `data.extensions` and under chat metadata.
+const scopedDataKey = 'structuredprefill';
+
+function getCharacterAntiSlopList() {
+    const context = SillyTavern.getContext();
+    const character = context?.characters?.[context?.characterId];
+    return String(character?.data?.extensions?.[scopedDataKey]?.anti_slop_ban_list ?? '');
+}
+
+async function setCharacterAntiSlopList(characterId, value) {
+    const context = SillyTavern.getContext();
+    const character = context?.characters?.[characterId];
+    if (!character || typeof context?.writeExtensionField !== 'function') return;
+    const current = character.data?.extensions?.[scopedDataKey];
+    try {
+        await context.writeExtensionField(characterId, scopedDataKey, {
+            ...(current && typeof current === 'object' ? current : {}),
+            anti_slop_ban_list: String(value ?? ''),
+        });
+    } catch (err) {
+        console.warn(`[${extensionName}] Failed to save the character Anti-Slop list.`, err);
+    }
+}
+
+function getChatAntiSlopList() {
+    const metadata = SillyTavern.getContext()?.chatMetadata;
+    return String(metadata?.[scopedDataKey]?.anti_slop_ban_list ?? '');
+}
+
+function setChatAntiSlopList(value) {
+    const context = SillyTavern.getContext();
+    const metadata = context?.chatMetadata;
+    if (!metadata || typeof metadata !== 'object') return;
+    const current = metadata[scopedDataKey];
+    metadata[scopedDataKey] = { ...(current && typeof current === 'object' ? current : {}), anti_slop_ban_list: String(value ?? '') };
+    (context.saveMetadataDebounced ?? context.saveMetadata)?.();
+}
+
+function getMergedAntiSlopBanList() {
+    const settings = extension_settings[extensionName] ?? {};
+    // Chat first, then character, then global: the byte budget drops entries from the bottom.
+    const lists = [];
+    if (settings.anti_slop_use_chat !== false) lists.push(getChatAntiSlopList());
+    if (settings.anti_slop_use_character !== false) lists.push(getCharacterAntiSlopList());
+    if (settings.anti_slop_use_global !== false) lists.push(String(settings.anti_slop_ban_list ?? ''));
+    return lists.map(list => list.trim()).filter(Boolean).join('\n');
+}
+
+function getAntiSlopBanList() {
+    return runtimeState.antiSlopList ?? getMergedAntiSlopBanList();
+}
+
+function measurePatternBytes(pattern) {
+    // What the provider receives: the pattern as a JSON string value (backslashes doubled), in UTF-8.
+    return new TextEncoder().encode(JSON.stringify(String(pattern ?? ''))).length - 2;
+}
+
+function showAntiSlopBudgetToast(message) {
+    try {
+        if (window?.toastr?.warning) {
+            window.toastr.warning(String(message ?? ''), extensionName, { timeOut: 9000, closeButton: true });
+            return;
+        }
+    } catch {
+        // ignore
+    }
+    console.warn(`[${extensionName}] ${String(message ?? '')}`);
+}
+
+/**
+ * Size of one copy of the ban list's continuation, as shown under the budget setting. Free-text slots each carry
+ * their own copy, so the budget is charged per copy rather than for the whole pattern.
+ */
+function measureAntiSlopCopyBytes(list) {
+    const antiSlop = buildAntiSlopContinuation(list);
+    return antiSlop ? measurePatternBytes(`${antiSlop.step}+${antiSlop.tail}`) : 0;
+}
+
+/**
+ * Run `build()` (which returns a json_schema) and, if the ban list is over the configured byte budget or the response
+ * pattern is over the provider's pattern limit, rebuild with the longest top slice of the ban list that fits. Entries
+ * further down the list are lower priority.
+ * Returns `{ schema, antiSlopList }`; `antiSlopList` is the kept slice, or null when the whole list fit.
+ */
+function buildSchemaWithinAntiSlopBudget(build) {
+    // Either may be 0 = none.
+    const budget = clampInt(extension_settings[extensionName]?.anti_slop_max_bytes, 0, 10000000, 32768);
+    const patternLimit = runtimeState.capabilities?.maxPatternLength ?? 0;
+    const patternOf = (s) => s?.value?.properties?.response?.pattern ?? '';
+    const overLimit = (s) => patternLimit > 0 && measurePatternBytes(patternOf(s)) > patternLimit;
+    runtimeState.antiSlopList = null;
+
+    const lines = getAntiSlopBanList().split('\n').filter(line => parseAntiSlopEntry(line));
+    if (lines.length === 0 || budget <= 0 || measureAntiSlopCopyBytes(lines.join('\n')) <= budget) {
+        const schema = build();
+        if (lines.length === 0 || !overLimit(schema)) return { schema, antiSlopList: null };
+    }
+
+    try {
+        // Size grows with the number of entries kept, so binary-search the cut-off. The budget is checked first:
+        // it only compiles the list, while the pattern limit needs the whole schema.
+        let best = null;
+        let kept = 0;
+        let keptList = '';
+        let lo = 0;
+        let hi = lines.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            runtimeState.antiSlopList = lines.slice(0, mid).join('\n');
+            const candidate = budget > 0 && measureAntiSlopCopyBytes(runtimeState.antiSlopList) > budget ? null : build();
+            if (candidate && !overLimit(candidate)) {
+                best = candidate;
+                kept = mid;
+                keptList = runtimeState.antiSlopList;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+
+        const dropped = lines.slice(kept).map(line => line.trim());
+        const shown = dropped.slice(0, 8).join(', ') + (dropped.length > 8 ? `, +${dropped.length - 8} more` : '');
+        if (!best) {
+            // Even with no entries the template alone is over the provider's limit; send it without Anti-Slop and say so.
+            runtimeState.antiSlopList = '';
+            best = build();
+            showAntiSlopBudgetToast(`Response pattern is ${measurePatternBytes(patternOf(best))} bytes even without Anti-Slop (provider limit ${patternLimit}); all ban list entries were skipped.`);
+        } else {
+            showAntiSlopBudgetToast(`Anti-Slop list trimmed to fit the pattern size budget. Dropped ${dropped.length}: ${shown}`);
+        }
+        return { schema: best, antiSlopList: keptList };
+    } finally {
+        runtimeState.antiSlopList = null;
+    }
+}
+
+const antiSlopSizeCache = { raw: null, bytes: 0 };
+let antiSlopSizeTimer = null;
+
+function formatByteSize(bytes) {
+    return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+function renderAntiSlopSizeInfo() {
+    const el = $('#structuredprefill_anti_slop_size');
+    if (el.length === 0) return;
+
+    const raw = getMergedAntiSlopBanList();
+    if (antiSlopSizeCache.raw !== raw) {
+        antiSlopSizeCache.raw = raw;
+        antiSlopSizeCache.bytes = measureAntiSlopCopyBytes(raw);
+    }
+
+    const parts = [];
+    parts.push(antiSlopSizeCache.bytes > 0
+        ? `Ban list is ~${formatByteSize(antiSlopSizeCache.bytes)} per copy (the continuation and each free-text slot carry one).`
+        : 'Ban list is empty.');
+    const sent = Object.entries(runtimeState.patternSizes).map(([source, bytes]) => `${source} ${formatByteSize(bytes)}`);
+    if (sent.length > 0) parts.push(`Last sent pattern: ${sent.join(', ')}.`);
+    el.text(parts.join(' '));
+}
+
+let characterAntiSlopSaveTimer = null;
+
+const slopMiningStopwords = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'as', 'into',
+    'is', 'was', 'are', 'were', 'be', 'been', 'am', 'it', 'its', "it's", 'this', 'that', 'these', 'those', 'i', 'you',
+    'he', 'she', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'our', 'their', 'not', 'no', 'so',
+    'do', 'did', 'does', 'have', 'has', 'had', 'will', 'would', 'can', 'could', 'just', 'then', 'than', 'there', 'what',
+    'up', 'out', 'about', 'over', 'all', 'some', 'any', "don't", "i'm", "you're",
+]);
+
+/**
+ * Find n-grams (1-4 words) that keep recurring across assistant messages but are rare in user messages.
+ * Frequencies are per message (a phrase repeated inside one reply counts once), so it surfaces tics, not topics.
+ * Returns `[{ entry, text, count }]`, best first, with `entry` already in ban-list syntax.
+ */
+function mineSlopCandidates(messages, { exclude = [], names = [], limit = 30 } = {}) {
+    const tokenize = (text) => String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) ?? [];
+    const countDocs = (texts) => {
+        const counts = new Map();
+        for (const text of texts) {
+            const words = tokenize(text);
+            const grams = new Set();
+            for (let n = 1; n <= 4; n++) {
+                for (let i = 0; i + n <= words.length; i++) grams.add(words.slice(i, i + n).join(' '));
+            }
+            for (const gram of grams) counts.set(gram, (counts.get(gram) ?? 0) + 1);
+        }
+        return counts;
+    };
+
+    const assistantTexts = messages.filter(m => m && !m.is_user && !m.is_system).map(m => m.mes);
+    const userTexts = messages.filter(m => m && m.is_user && !m.is_system).map(m => m.mes);
+    if (assistantTexts.length < 3) return [];
+
+    const assistantDocs = countDocs(assistantTexts);
+    const userDocs = countDocs(userTexts);
+    const excluded = new Set(exclude.map(x => String(x ?? '').toLowerCase().trim()).filter(Boolean));
+    // Names are matched per word, possessives included, so "Anna's eyes" or "Anna Smith" are never suggested.
+    const nameWords = new Set(names.flatMap(name => tokenize(name)).map(w => w.replace(/'s$/, '')));
+    const minDocs = Math.max(3, Math.ceil(assistantTexts.length * 0.1));
+
+    const candidates = [];
+    for (const [gram, count] of assistantDocs) {
+        if (count < minDocs || excluded.has(gram)) continue;
+        const words = gram.split(' ');
+        if (slopMiningStopwords.has(words[words.length - 1])) continue;
+        const contentWords = words.filter(w => !slopMiningStopwords.has(w));
+        if (contentWords.length === 0 || contentWords.some(w => excluded.has(w))) continue;
+        if (words.some(w => nameWords.has(w.replace(/'s$/, '')))) continue;
+        if (words.length === 1 && gram.length < 5) continue;
+
+        // Share of assistant messages vs (smoothed) share of user messages: high = the model's own habit.
+        const assistantRate = count / assistantTexts.length;
+        const userRate = ((userDocs.get(gram) ?? 0) + 1) / (userTexts.length + 2);
+        const lift = assistantRate / userRate;
+        if (lift < 2) continue;
+        candidates.push({ gram, words, count, score: lift * Math.log2(1 + count) * words.length });
+    }
+
+    // Drop a phrase when a longer phrase containing it shows up just as often (keep "a shiver ran", not "shiver ran").
+    // Phrases are at most 4 words, so walking each candidate's shorter sub-phrases is cheap.
+    const candidateCounts = new Map(candidates.map(c => [c.gram, c.count]));
+    const covered = new Set();
+    for (const { words, count } of candidates) {
+        for (let n = 1; n < words.length; n++) {
+            for (let i = 0; i + n <= words.length; i++) {
+                const sub = words.slice(i, i + n).join(' ');
+                if ((candidateCounts.get(sub) ?? Infinity) <= count) covered.add(sub);
+            }
+        }
+    }
+    const kept = candidates.filter(c => !covered.has(c.gram));
+
+    return kept
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(c => ({
+            entry: c.words.length === 1 ? `<${c.gram}>` : `"${c.gram}"`,
+            text: c.gram,
+            count: c.count,
+        }));
+}
+
+function renderSlopSuggestions() {
+    const container = $('#structuredprefill_anti_slop_suggestions');
+    if (container.length === 0) return;
+    container.empty();
+
+    const context = SillyTavern.getContext();
+    const existing = getMergedAntiSlopBanList().split('\n')
+        .map(line => parseAntiSlopEntry(line)?.text)
+        .filter(Boolean);
+    const names = [context?.name1, context?.name2, ...runtimeState.knownNames].filter(Boolean);
+    const suggestions = mineSlopCandidates(Array.isArray(chat) ? chat : [], { exclude: existing, names });
+
+    if (suggestions.length === 0) {
+        container.append($('<small></small>').text('No recurring phrases found (needs a few assistant replies).'));
+        return;
+    }
+
+    for (const suggestion of suggestions) {
+        const chip = $('<div class="menu_button structuredprefill-slop-suggestion"></div>')
+            .attr('title', `In ${suggestion.count} replies. Click to add ${suggestion.entry} to the global list.`)
+            .text(`${suggestion.text} ×${suggestion.count}`);
+        chip.on('click', () => {
+            const current = String(extension_settings[extensionName].anti_slop_ban_list ?? '').replace(/\s+$/, '');
+            extension_settings[extensionName].anti_slop_ban_list = current ? `${current}\n${suggestion.entry}` : suggestion.entry;
+            $('#structuredprefill_anti_slop_ban_list').val(extension_settings[extensionName].anti_slop_ban_list);
+            saveSettingsDebounced();
+            scheduleAntiSlopSizeInfo();
+            chip.remove();
+        });
+        container.append(chip);
+    }
+}
+
+function renderScopedAntiSlopLists() {
+    const context = SillyTavern.getContext();
+    const character = context?.characters?.[context?.characterId];
+    const hasChat = !!context?.chatId && !!context?.chatMetadata;
+
+    $('#structuredprefill_anti_slop_character_label').text(character ? `Character list (${character.name})` : 'Character list (no character selected)');
+    $('#structuredprefill_anti_slop_character_list')
+        .val(character ? getCharacterAntiSlopList() : '')
+        .prop('disabled', !character);
+    $('#structuredprefill_anti_slop_chat_list')
+        .val(hasChat ? getChatAntiSlopList() : '')
+        .prop('disabled', !hasChat);
+    scheduleAntiSlopSizeInfo();
+}
+
+function scheduleAntiSlopSizeInfo() {
+    // Compiling a long list takes a moment; don't do it on every keystroke.
+    clearTimeout(antiSlopSizeTimer);
+    antiSlopSizeTimer = setTimeout(renderAntiSlopSizeInfo, 500);
+}
+
+/**
+ * Anti-slop version of a slot's free-text run: non-empty, never completes a banned entry, and never contains any of
+ * `excludeChars` (the chars the slot's own token pattern already rules out), or anything outside `allowChars` when
+ * given. Null when the ban list is empty. Slots pass their whole text through one run, so phrase entries span its
+ * words; only word-counted slots (`[[w:3-6]]`) check each word on its own, since a run can't also count words.
+ */
+function getAntiSlopSlotToken(excludeChars, allowChars = null) {
+    return buildAntiSlopContinuation(getAntiSlopBanList(), { exclude: excludeChars, allow: allowChars })?.token ?? null;
+}
+
+/**
+ * Chars named by a regex char class body (`a-z_`, `^"<>` without the `^`), or null when it uses something that can't
+ * be listed (`\S`, `\W`, `\p{...}`, huge ranges). `\s` stands for the ASCII whitespace chars.
+ */
+function expandRegexClassBody(body) {
+    const escapes = { t: '\t', n: '\n', r: '\r', f: '\f', v: '\v', d: '0123456789', w: antiSlopWordChars, s: ' \t\r\n\f\v' };
+    // Items are single chars or whole `\d`/`\w`/`\s` sets; only an unescaped `-` between two chars makes a range.
+    const items = [];
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] !== '\\') {
+            items.push({ c: body[i], dash: body[i] === '-' });
+            continue;
+        }
+        const e = body[++i];
+        if (e === undefined) return null;
+        if (escapes[e] != null) items.push(escapes[e].length === 1 ? { c: escapes[e] } : { set: escapes[e] });
+        else if (/[A-Za-z0-9]/.test(e)) return null;
+        else items.push({ c: e });
+    }
+
+    let chars = '';
+    for (let i = 0; i < items.length; i++) {
+        const { c, set } = items[i];
+        const to = items[i + 2];
+        if (c != null && items[i + 1]?.dash && to?.c != null) {
+            const lo = c.charCodeAt(0);
+            const hi = to.c.charCodeAt(0);
+            if (hi < lo || hi - lo > 255) return null;
+            for (let code = lo; code <= hi; code++) chars += String.fromCharCode(code);
+            i += 2;
+            continue;
+        }
+        chars += set ?? c;
+    }
+    return chars;
+}
+
+/**
+ * `[[re:]]` patterns that are one char class (or `.`) repeated with `+`/`*` can carry the ban list. Returns the run
+ * for them (empty-able for `*`), or null for anything else, which is used as written.
+ */
+function getAntiSlopRegexRun(userRegex) {
+    const m = /^(?:\.|\[(\^?)((?:\\.|[^\\\]])+)\])([+*])$/.exec(userRegex);
+    if (!m) return null;
+    let run;
+    if (m[2] == null) {
+        run = getAntiSlopSlotToken('\r\n');
+    } else {
+        const chars = expandRegexClassBody(m[2]);
+        if (chars === null) return null;
+        run = m[1] ? getAntiSlopSlotToken(chars) : getAntiSlopSlotToken('', chars);
+    }
+    if (!run) return null;
+    return m[3] === '*' ? `(?:${run})?` : run;
 }
 
 function splitHintSuffix(placeholderBody) {
@@ -1432,9 +2867,56 @@ function splitHintSuffix(placeholderBody) {
     };
 }
 
+function splitSlotCaptureName(spec) {
+    // `[[opt:day|night as time_of_day]]` -> spec `opt:day|night`, name `time_of_day`.
+    // Option and regex text may itself contain " as ", so there the name is only taken where it can't be part of it:
+    // after the final `|` or `,` of an option list, or after a regex without spaces. `[[opt:such as this]]` stays one
+    // option.
+    const s = String(spec ?? '').trim();
+    const m = /^(.*?)\s+as\s+([A-Za-z_][A-Za-z0-9_]*)$/i.exec(s);
+    if (!m || !m[1].trim()) return { spec: s, name: '' };
+    const rest = m[1].trim();
+    const kind = /^([a-z]+)\s*:\s*(.*)$/i.exec(rest);
+    if (kind && /^(opt|options|pick)$/i.test(kind[1]) && !/[|,]/.test(kind[2])) return { spec: s, name: '' };
+    if (kind && /^(re|regex)$/i.test(kind[1]) && /\s/.test(kind[2])) return { spec: s, name: '' };
+    return { spec: rest, name: m[2] };
+}
+
+function parseSlotBody(placeholderBody) {
+    const { spec: withName, hint } = splitHintSuffix(placeholderBody);
+    const { spec, name } = splitSlotCaptureName(withName);
+    return { spec, hint, name };
+}
+
+function normalizeSlotHintsPlacement(raw) {
+    const placement = String(raw ?? 'response').trim().toLowerCase();
+    if (placement === 'schema' || placement === 'both' || placement === 'off') return placement;
+    return 'response';
+}
+
+function collectSlotHints(template) {
+    const s = String(template ?? '');
+    const slotRe = templateSlotRegex();
+    const hints = [];
+    let m;
+    while ((m = slotRe.exec(s)) !== null) {
+        const { spec, hint } = parseSlotBody(m[1]);
+        if (!hint) continue;
+        hints.push({ slot: spec, hint });
+    }
+    return hints;
+}
+
+function buildSlotHintsDescription(hints) {
+    if (!Array.isArray(hints) || hints.length === 0) return '';
+    // The model only sees the compiled pattern, so name each slot by its position and spec to tie the hint to it.
+    const lines = hints.map((h, i) => `${i + 1}. [[${h.slot}]]: ${h.hint}`);
+    return `The response begins with a fixed template containing placeholder slots. Fill them as follows:\n${lines.join('\n')}`;
+}
+
 function curlyQuoteLiteralsOutsideSlots(template) {
     const s = String(template ?? '');
-    const slotRe = /\[\[[^\]]+?\]\]/g;
+    const slotRe = templateSlotRegex();
     let out = '';
     let last = 0;
     let m;
@@ -1451,6 +2933,92 @@ function curlyQuoteLiteralsOutsideSlots(template) {
     return out;
 }
 
+const slotLibraryCache = { raw: null, entries: new Map() };
+
+function parseSlotLibrary(raw) {
+    const entries = new Map();
+    for (const line of String(raw ?? '').split(/\r?\n/g)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+
+        const m = /^([A-Za-z_][A-Za-z0-9_-]*)\s*=\s*(.+)$/.exec(trimmed);
+        if (!m) continue;
+
+        // Only the leaf slot types are allowed so a library entry can never refer to another entry.
+        const spec = m[2].trim();
+        if (!/^(opt|options|w|words|re|regex)\s*:/i.test(spec)) continue;
+        entries.set(m[1].toLowerCase(), spec);
+    }
+    return entries;
+}
+
+function getSlotLibrary() {
+    const raw = String(extension_settings[extensionName]?.slot_library ?? '');
+    if (slotLibraryCache.raw !== raw) {
+        slotLibraryCache.raw = raw;
+        slotLibraryCache.entries = parseSlotLibrary(raw);
+    }
+    return slotLibraryCache.entries;
+}
+
+function parseLoreSlotSpec(spec) {
+    // `[[lore:Locations]]` (entry titles), `[[lore:Locations:keys]]` (primary keys),
+    // `[[lore:World#faction]]` (only entries in the `faction` inclusion group).
+    const m = /^lore\s*:\s*(.+?)(?:\s*#\s*([^:#]+?))?(?:\s*:\s*(titles|keys))?\s*$/i.exec(String(spec ?? '').trim());
+    if (!m) return null;
+    return {
+        book: m[1].trim(),
+        tag: String(m[2] ?? '').trim(),
+        field: String(m[3] ?? 'titles').toLowerCase(),
+    };
+}
+
+function loreSlotKey(ref) {
+    return `${ref.book.toLowerCase()}#${ref.tag.toLowerCase()}:${ref.field}`;
+}
+
+async function resolveLoreSlotOptions(template) {
+    const resolved = new Map();
+    const slotRe = templateSlotRegex();
+    const s = String(template ?? '');
+    let m;
+    while ((m = slotRe.exec(s)) !== null) {
+        const ref = parseLoreSlotSpec(parseSlotBody(m[1]).spec);
+        if (!ref || resolved.has(loreSlotKey(ref))) continue;
+
+        const options = [];
+        try {
+            // Lorebook names are matched case-insensitively; templates are typed by hand.
+            const names = Array.isArray(world_names) ? world_names : [];
+            const bookName = names.find(n => String(n).toLowerCase() === ref.book.toLowerCase());
+            const data = bookName ? await loadWorldInfo(bookName) : null;
+            const entries = data?.entries && typeof data.entries === 'object' ? Object.values(data.entries) : [];
+            for (const entry of entries) {
+                if (!entry || entry.disable) continue;
+                if (ref.tag) {
+                    const groups = String(entry.group ?? '').split(',').map(g => g.trim().toLowerCase());
+                    if (!groups.includes(ref.tag.toLowerCase())) continue;
+                }
+                const values = ref.field === 'keys' ? (Array.isArray(entry.key) ? entry.key : []) : [entry.comment];
+                for (const value of values) {
+                    const option = String(value ?? '').trim();
+                    if (option) options.push(option);
+                }
+            }
+        } catch (err) {
+            console.warn(`[${extensionName}] Failed to load lorebook "${ref.book}" for [[lore:...]] slot.`, err);
+        }
+
+        if (options.length === 0) {
+            console.warn(`[${extensionName}] [[lore:${ref.book}]] resolved to no entries; falling back to a single word.`);
+        }
+        // Longest first, so local (non-anchored) matching prefers "Rosewood" over "Rose".
+        const unique = Array.from(new Set(options)).sort((a, b) => b.length - a.length).slice(0, 200);
+        resolved.set(loreSlotKey(ref), unique);
+    }
+    return resolved;
+}
+
 function buildWordCountPatternNoRanges(minWords, maxWords, { wordToken, wordSep }) {
     const min = clampInt(minWords, 1, 2000, 1);
     const max = clampInt(maxWords, 1, 2000, min);
@@ -1475,15 +3043,152 @@ function buildWordCountPatternNoRanges(minWords, maxWords, { wordToken, wordSep
     return out;
 }
 
+function splitDigitRange(lo, hi) {
+    // Classic range-to-regex split. `lo`/`hi` are equal-length digit strings with lo <= hi.
+    // Returns digit-position sequences of `[from, to]` pairs, e.g. 13..47 -> 1[3-9], [2-3][0-9], 4[0-7].
+    if (lo.length === 0) return [[]];
+    if (lo === hi) return [lo.split('').map(d => [Number(d), Number(d)])];
+
+    const a = Number(lo[0]);
+    const b = Number(hi[0]);
+    const restLo = lo.slice(1);
+    const restHi = hi.slice(1);
+    const zeros = '0'.repeat(restLo.length);
+    const nines = '9'.repeat(restLo.length);
+    const prepend = (from, to, seqs) => seqs.map(seq => [[from, to], ...seq]);
+
+    if (a === b) return prepend(a, a, splitDigitRange(restLo, restHi));
+
+    const out = [];
+    let from = a;
+    let to = b;
+    if (restLo !== zeros) {
+        out.push(...prepend(a, a, splitDigitRange(restLo, nines)));
+        from = a + 1;
+    }
+    if (restHi !== nines) {
+        to = b - 1;
+    }
+    if (from <= to) {
+        out.push([[from, to], ...Array.from({ length: restLo.length }, () => [0, 9])]);
+    }
+    if (restHi !== nines) {
+        out.push(...prepend(b, b, splitDigitRange(zeros, restHi)));
+    }
+    return out;
+}
+
+function buildUnsignedRangeAlternatives(lo, hi, precision, noRanges) {
+    // `lo`/`hi` are non-negative integers scaled by 10^precision. Numbers are written with at least one
+    // integer digit ("0.5"), so every width gets its own split and the decimal point goes before the last
+    // `precision` digits.
+    const alts = [];
+    const minWidth = precision + 1;
+    for (let width = minWidth; width <= 16; width++) {
+        const groupLo = width === minWidth ? 0 : 10 ** (width - 1);
+        const groupHi = 10 ** width - 1;
+        const from = Math.max(lo, groupLo);
+        const to = Math.min(hi, groupHi);
+        if (from > to) continue;
+
+        const pad = (n) => String(n).padStart(width, '0');
+        for (const seq of splitDigitRange(pad(from), pad(to))) {
+            const classes = seq.map(([x, y]) => (x === y ? String(x) : (x === 0 && y === 9 ? '[0-9]' : `[${x}-${y}]`)));
+            const intPart = classes.slice(0, width - precision);
+            const fracPart = classes.slice(width - precision);
+            const collapse = (parts) => {
+                if (noRanges) return parts.join('');
+                // Fold runs of `[0-9]` into `[0-9]{n}`.
+                let out = '';
+                for (let i = 0; i < parts.length;) {
+                    let run = 1;
+                    while (parts[i] === '[0-9]' && parts[i + run] === '[0-9]') run++;
+                    out += run > 1 ? `[0-9]{${run}}` : parts[i];
+                    i += run;
+                }
+                return out;
+            };
+            alts.push(precision > 0 ? `${collapse(intPart)}\\.${collapse(fracPart)}` : collapse(intPart));
+        }
+        if (to === hi) break;
+    }
+    return alts;
+}
+
+function buildNumericRangeRegex(loRaw, hiRaw, { noRanges = false } = {}) {
+    // Exact range constraint for `[[num:lo-hi]]`, including negative bounds and fixed-precision decimals
+    // (`[[num:0.0-1.0]]` accepts "0.0".."1.0" with exactly one decimal digit). Whole values may also drop the
+    // decimals (`[[num:0.5-10]]` accepts "3" and "10" as well as "3.0").
+    const fracDigits = (str) => (String(str).split('.')[1] ?? '').length;
+    const precision = Math.min(6, Math.max(fracDigits(loRaw), fracDigits(hiRaw)));
+    const scale = (str) => {
+        const [intPart, frac = ''] = String(str).replace(/^-/, '').split('.');
+        const n = Number(`${intPart}${frac.slice(0, precision).padEnd(precision, '0')}`);
+        return String(str).startsWith('-') ? -n : n;
+    };
+
+    const a = scale(loRaw);
+    const b = scale(hiRaw);
+    const min = Math.min(a, b);
+    const max = Math.max(a, b);
+    if (!Number.isSafeInteger(min) || !Number.isSafeInteger(max)) {
+        return precision > 0 ? '-?[0-9]+\\.[0-9]+' : '-?[0-9]+';
+    }
+
+    const rangeAlternatives = (lo, hi, digits) => {
+        const alts = [];
+        if (lo < 0) {
+            // Negative side excludes zero so "-0" is never produced.
+            const negative = buildUnsignedRangeAlternatives(Math.max(1, -Math.min(hi, -1)), -lo, digits, noRanges);
+            alts.push(`-(?:${negative.join('|')})`);
+        }
+        if (hi >= 0) {
+            alts.push(...buildUnsignedRangeAlternatives(Math.max(0, lo), hi, digits, noRanges));
+        }
+        return alts;
+    };
+
+    const alts = rangeAlternatives(min, max, precision);
+    const unit = 10 ** precision;
+    if (precision > 0 && Math.ceil(min / unit) <= Math.floor(max / unit)) {
+        alts.push(...rangeAlternatives(Math.ceil(min / unit), Math.floor(max / unit), 0));
+    }
+    return `(?:${alts.join('|')})`;
+}
+
+function buildSeparatedRepeatPattern(itemExpr, sepExpr, minCount, maxCount) {
+    // `item (sep item){min-1,max-1}`, unrolled when range quantifiers are not allowed.
+    const lo = Math.max(1, Math.min(minCount, maxCount));
+    const hi = Math.max(lo, minCount, maxCount);
+    if (runtimeState.patternMode === 'anthropic') {
+        let out = itemExpr;
+        for (let i = 1; i < lo; i++) {
+            out += `${sepExpr}${itemExpr}`;
+        }
+        for (let i = lo; i < hi; i++) {
+            out += `(?:${sepExpr}${itemExpr})?`;
+        }
+        return out;
+    }
+    if (hi === 1) return itemExpr;
+    if (lo === hi) return `${itemExpr}(?:${sepExpr}${itemExpr}){${lo - 1}}`;
+    return `${itemExpr}(?:${sepExpr}${itemExpr}){${lo - 1},${hi - 1}}`;
+}
+
 function buildPlaceholderRegex(placeholderBody) {
-    const { spec: body } = splitHintSuffix(placeholderBody);
+    const { spec: body } = parseSlotBody(placeholderBody);
     const escapeForCharClass = (ch) => String(ch).replace(/[-\\\]^]/g, '\\$&');
     const newlineTok = String(runtimeState.newlineToken ?? '');
     const newlineTokSingle = newlineTok.length === 1 ? escapeForCharClass(newlineTok) : '';
     // IMPORTANT:
     // - Disallow `<` / `>` inside "word" tokens so the model can't smuggle our newline token (default "<NL>") into slots.
     // - If the newline token is a single character (e.g. "␤"), also disallow that character inside "word" tokens.
-    const wordTokenCore = newlineTokSingle ? `[^\\s,<>${newlineTokSingle}]+` : `[^\\s,<>]+`;
+    const newlineTokRaw = newlineTok.length === 1 ? newlineTok : '';
+    // With an Anti-Slop list, free-text runs inside slots obey it too (same disallowed chars as the plain token).
+    // Word tokens are counted (`[[w:3-6]]`), so each word is checked on its own there.
+    const asciiWhitespace = ' \t\r\n\f\v';
+    const wordTokenCore = getAntiSlopSlotToken(`${asciiWhitespace},<>${newlineTokRaw}`)
+        ?? (newlineTokSingle ? `[^\\s,<>${newlineTokSingle}]+` : `[^\\s,<>]+`);
     const wordToken = `${wordTokenCore}[,\\.!\\?;:'"\\)\\]\\}~-]*`;
     const wordSep = `[\\t ]+`;
     if (!body) return wordToken;
@@ -1517,14 +3222,23 @@ function buildPlaceholderRegex(placeholderBody) {
         return wordToken;
     }
 
+    // [[lore:Book]] / [[lore:Book:keys]] / [[lore:Book#tag]]: lorebook entries resolved at generation time.
+    const loreRef = parseLoreSlotSpec(body);
+    if (loreRef) {
+        const options = runtimeState.loreOptions?.get(loreSlotKey(loreRef)) ?? [];
+        if (options.length > 0) return `(?:${options.map(escapeRegExp).join('|')})`;
+        return wordToken;
+    }
+
     // [[re:...]] / [[regex:...]]
     m = /^(re|regex)\s*:\s*(.+?)\s*$/.exec(body);
     if (m) {
         const userRegex = sanitizeUserRegex(m[2]);
+        const antiSlopRun = userRegex ? getAntiSlopRegexRun(userRegex) : null;
+        if (antiSlopRun) return antiSlopRun;
         if (userRegex) {
-            // Anthropic/OpenRouter rejects some regex features (notably `\S` and some range quantifiers).
-            // If the user-provided regex looks risky, fall back to a permissive wildcard.
-            if (runtimeState.patternMode === 'anthropic' && (/[{}]/.test(userRegex) || /\\S/.test(userRegex))) {
+            // If the user-provided regex looks risky for Anthropic, fall back to a permissive wildcard.
+            if (runtimeState.patternMode === 'anthropic' && isRegexRiskyForConservativeMode(userRegex)) {
                 return `${anyCharIncludingNewlineExpr()}*`;
             }
             return `(?:${userRegex})`;
@@ -1534,7 +3248,7 @@ function buildPlaceholderRegex(placeholderBody) {
 
     // [[free]]: allow any non-empty chunk, but prefer minimal match to allow following literals to match.
     if (/^free\s*$/i.test(body)) {
-        return `${anyCharIncludingNewlineExpr()}+`;
+        return getAntiSlopSlotToken('') ?? `${anyCharIncludingNewlineExpr()}+`;
     }
 
     // [[keep]]: display-only marker used with "Hide prefill text".
@@ -1549,8 +3263,17 @@ function buildPlaceholderRegex(placeholderBody) {
         return '(?:)';
     }
 
-    // [[emotion]] / [[mood]]: common RP emotion word.
-    if (/^(emotion|mood)\s*$/i.test(body)) {
+    // [[len:150-400w]]: length directive for the continuation, removed before compiling. Matches empty if left over.
+    if (parseLengthDirective(body)) {
+        return '(?:)';
+    }
+
+    // [[emotion]] / [[mood]]: common RP emotion word, or the character's sprite labels with Expressions sync.
+    if (isEmotionSlotSpec(body)) {
+        const labels = runtimeState.expressionLabels ?? [];
+        if (labels.length > 0) {
+            return `(?:${labels.map(escapeRegExp).join('|')})`;
+        }
         const emotions = [
             'happy', 'sad', 'angry', 'nervous', 'excited', 'scared', 'confused',
             'amused', 'annoyed', 'anxious', 'bored', 'calm', 'curious', 'desperate',
@@ -1568,7 +3291,7 @@ function buildPlaceholderRegex(placeholderBody) {
     // Each line matches `.+` (at least one char, no newlines). Multiple lines are separated by newline tokens.
     m = /^(line|lines)\s*(?::\s*(\d+)(?:\s*-\s*(\d+))?)?\s*$/i.exec(body);
     if (m) {
-        const lineExpr = '.+';
+        const lineExpr = getAntiSlopSlotToken('\r\n') ?? '.+';
         const nlExpr = newlineTok ? `(?:${escapeRegExp(newlineTok)}|\\n)` : '\\n';
         if (!m[2]) {
             // [[line]]: exactly one line
@@ -1596,6 +3319,41 @@ function buildPlaceholderRegex(placeholderBody) {
         return `${lineExpr}(?:${nlExpr}${lineExpr}){${lo - 1},${hi - 1}}`;
     }
 
+    // [[sentence]] / [[sentences:1-3]] / [[paragraphs:1-2]]: prose that must end on terminal punctuation.
+    // A sentence stays on one line and cannot contain `<`/`>` or the newline token; paragraphs are runs of sentences
+    // separated by one or two newline tokens. Inside a sentence a period must be followed by a non-space ("3.5",
+    // "e.g") or close a common title ("Mr. Smith"), so it can't end one sentence and start the next.
+    m = /^(sentence|sentences|paragraph|paragraphs)\s*(?::\s*(\d+)(?:\s*-\s*(\d+))?)?\s*$/i.exec(body);
+    if (m) {
+        // A multi-char token (`\n`) can't be excluded by a char class: its first char is only allowed when the
+        // token's second char doesn't follow. `<` is excluded anyway.
+        const tokFirst = newlineTok.length > 1 && !'<>'.includes(newlineTok[0]) ? newlineTok[0] : '';
+        const excluded = `\\n<>.!?${newlineTokSingle}${tokFirst ? escapeForCharClass(tokFirst) : ''}`;
+        const nonSpace = `[^\\t ${excluded}]`;
+        const tokFirstExpr = tokFirst ? `${escapeRegExp(tokFirst)}[^${excluded}${escapeForCharClass(newlineTok[1])}]` : '';
+        const title = `(?:Mr|Mrs|Ms|Dr|Prof|St|Jr|Sr)\\.[\\t ]+`;
+        const innerStop = `(?:\\.+${nonSpace}|${title})`;
+        // With a ban list the text between inner periods is one anti-slop run each (same disallowed chars).
+        const run = getAntiSlopSlotToken(`\n<>.!?${newlineTokRaw}${tokFirst}`);
+        const firstChar = [nonSpace, title, tokFirstExpr].filter(Boolean).join('|');
+        const nextChar = [`[^${excluded}]`, innerStop, tokFirstExpr].filter(Boolean).join('|');
+        const sentenceBody = run ? `(?:${title})?${run}(?:${innerStop}${run})*` : `(?:${firstChar})(?:${nextChar})*`;
+        const sentenceEnd = `[.!?]+["'\\)\\]*_~]*`;
+        const sentenceExpr = `${sentenceBody}${sentenceEnd}`;
+        const sentenceSep = `[\\t ]+`;
+        const a = m[2] ? clampInt(m[2], 1, 20, 1) : 1;
+        const b = m[3] != null ? clampInt(m[3], 1, 20, a) : a;
+        if (/^sentences?$/i.test(m[1])) {
+            return buildSeparatedRepeatPattern(sentenceExpr, sentenceSep, a, b);
+        }
+        const nlExpr = newlineTok ? `(?:${escapeRegExp(newlineTok)}|\\n)` : '\\n';
+        // With runs, a sentence break is just one more place between two runs, so a paragraph holds the run twice.
+        const paragraphExpr = run
+            ? `(?:${title})?${run}(?:(?:${innerStop}|${sentenceEnd}${sentenceSep}(?:${title})?)${run})*${sentenceEnd}`
+            : `${sentenceExpr}(?:${sentenceSep}${sentenceExpr})*`;
+        return buildSeparatedRepeatPattern(paragraphExpr, `${nlExpr}(?:${nlExpr})?`, a, b);
+    }
+
     // [[name]]: matches any character name in the current chat (user, char, group members).
     // Names are collected at generation time and stored in runtimeState.knownNames.
     if (/^name\s*$/i.test(body)) {
@@ -1612,7 +3370,11 @@ function buildPlaceholderRegex(placeholderBody) {
 
     // [[action]]: short narration phrase, 1-6 words, no dialogue quotes.
     // Good for `*[[action]]*` style RP actions.
+    // With a ban list the phrase is one anti-slop run on a single line, so phrase entries span its words; a run
+    // can't count words, so the cap only applies without one.
     if (/^action\s*$/i.test(body)) {
+        const run = getAntiSlopSlotToken(`\r\n\f\v"<>${newlineTokRaw}`);
+        if (run) return run;
         const actionWord = newlineTokSingle ? `[^\\s"<>${newlineTokSingle}]+` : `[^\\s"<>]+`;
         const sep = `[\\t ]+`;
         if (runtimeState.patternMode === 'anthropic') {
@@ -1621,69 +3383,439 @@ function buildPlaceholderRegex(placeholderBody) {
         return `${actionWord}(?:${sep}${actionWord}){0,5}`;
     }
 
-    // [[thought]]: inner monologue phrase, 1-10 words, no dialogue quotes.
-    if (/^thought\s*$/i.test(body)) {
-        const thoughtWord = newlineTokSingle ? `[^\\s"<>${newlineTokSingle}]+` : `[^\\s"<>]+`;
-        const sep = `[\\t ]+`;
-        if (runtimeState.patternMode === 'anthropic') {
-            return buildWordCountPatternNoRanges(1, 10, { wordToken: thoughtWord, wordSep: sep });
-        }
-        return `${thoughtWord}(?:${sep}${thoughtWord}){0,9}`;
+    // [[thought]]: inner monologue phrase, 1-10 words, no dialogue quotes.
+    // Same anti-slop run as [[action]] when there is a ban list.
+    if (/^thought\s*$/i.test(body)) {
+        const run = getAntiSlopSlotToken(`\r\n\f\v"<>${newlineTokRaw}`);
+        if (run) return run;
+        const thoughtWord = newlineTokSingle ? `[^\\s"<>${newlineTokSingle}]+` : `[^\\s"<>]+`;
+        const sep = `[\\t ]+`;
+        if (runtimeState.patternMode === 'anthropic') {
+            return buildWordCountPatternNoRanges(1, 10, { wordToken: thoughtWord, wordSep: sep });
+        }
+        return `${thoughtWord}(?:${sep}${thoughtWord}){0,9}`;
+    }
+
+    // [[num]] or [[number:1-100]] / [[num:0.0-1.0]]: numeric value. Optionally constrained to a range.
+    m = /^(num|number)\s*(?::\s*(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?))?\s*$/i.exec(body);
+    if (m) {
+        if (!m[2]) {
+            // [[num]]: any integer (with optional negative sign)
+            return `-?[0-9]+`;
+        }
+        const isDecimal = m[2].includes('.') || m[3].includes('.');
+        const lo = Number(m[2]);
+        const hi = Number(m[3]);
+        // For small integer ranges (≤30 values), enumerate them for strict constraint
+        if (!isDecimal && Math.abs(hi - lo) <= 30) {
+            const vals = [];
+            for (let v = Math.min(lo, hi); v <= Math.max(lo, hi); v++) vals.push(String(v));
+            return `(?:${vals.join('|')})`;
+        }
+        return buildNumericRangeRegex(m[2], m[3], { noRanges: runtimeState.patternMode === 'anthropic' });
+    }
+
+    // User-defined slots from the settings library. Built-ins above always win.
+    const librarySpec = getSlotLibrary().get(lower.trim());
+    if (librarySpec) {
+        return buildPlaceholderRegex(librarySpec);
+    }
+
+    // Unknown placeholder: default to a single non-space token.
+    return wordToken;
+}
+
+function parseTemplateBlockMarker(placeholderBody) {
+    // Grammar-level markers. They are not slots: they structure the literals/slots between them.
+    // - `[[?]] ... [[/?]]`: optional section
+    // - `[[either]] A [[or]] B [[/either]]`: one of several branches
+    // - `[[repeat:2-4]] ... [[/repeat]]`: the section repeated a bounded number of times
+    const s = String(placeholderBody ?? '').trim().toLowerCase();
+    const repeat = /^repeat\s*:\s*(\d+)(?:\s*-\s*(\d+))?$/.exec(s);
+    if (repeat) {
+        const a = clampInt(repeat[1], 0, 20, 1);
+        const b = repeat[2] != null ? clampInt(repeat[2], 0, 20, a) : a;
+        return { kind: 'repeat', role: 'open', min: Math.min(a, b), max: Math.max(1, a, b) };
+    }
+    if (/^\/\s*repeat$/.test(s)) return { kind: 'repeat', role: 'close' };
+    if (s === '?') return { kind: 'optional', role: 'open' };
+    if (/^\/\s*\?$/.test(s)) return { kind: 'optional', role: 'close' };
+    if (s === 'either') return { kind: 'either', role: 'open' };
+    if (s === 'or') return { kind: 'either', role: 'or' };
+    if (/^\/\s*either$/.test(s)) return { kind: 'either', role: 'close' };
+    return null;
+}
+
+function buildRepeatPatternNoRanges(body, min, max) {
+    // Required copies, then optional ones (no `{n,m}`). The optional copies nest (`(?:x(?:x)?)?`) rather than follow
+    // each other, so there is one way to match each count and a failed match can't backtrack through every subset.
+    let out = '';
+    for (let i = 0; i < min; i++) {
+        out += `(?:${body})`;
+    }
+    let optional = '';
+    for (let i = min; i < max; i++) {
+        optional = `(?:${body}${optional})?`;
+    }
+    return out + optional;
+}
+
+function wrapTemplateBlock(frame) {
+    if (frame.kind === 'optional') return `(?:${frame.out})?`;
+    if (frame.kind === 'repeat') {
+        if (runtimeState.patternMode === 'anthropic') {
+            return buildRepeatPatternNoRanges(frame.out, frame.min, frame.max);
+        }
+        return frame.min === frame.max ? `(?:${frame.out}){${frame.min}}` : `(?:${frame.out}){${frame.min},${frame.max}}`;
+    }
+    return `(?:${[...frame.branches, frame.out].join('|')})`;
+}
+
+function buildPrefixRegexFromWireTemplate(wireTemplate, { captureGroups = null } = {}) {
+    const template = String(wireTemplate ?? '');
+    const slotRe = /(?<!\\)\[\[(.+?)\]\]/g;
+    // Block markers nest; each open block collects its own output until it is closed.
+    // Unbalanced markers are forgiving: stray closers/`[[or]]` match empty, unclosed blocks close at the end.
+    const stack = [{ kind: 'root', branches: [], out: '' }];
+    const top = () => stack[stack.length - 1];
+    let last = 0;
+    let m;
+    while ((m = slotRe.exec(template)) !== null) {
+        top().out += escapePrefixLiteral(unescapeTemplateLiteral(template.slice(last, m.index)));
+        last = m.index + m[0].length;
+
+        const marker = parseTemplateBlockMarker(m[1]);
+        if (marker) {
+            if (marker.role === 'open') {
+                stack.push({ kind: marker.kind, branches: [], out: '', min: marker.min, max: marker.max });
+            } else if (marker.role === 'or') {
+                if (top().kind === 'either') {
+                    top().branches.push(top().out);
+                    top().out = '';
+                }
+            } else if (stack.some((f, i) => i > 0 && f.kind === marker.kind)) {
+                // Closing an outer block implicitly closes anything still open inside it.
+                let frame;
+                do {
+                    frame = stack.pop();
+                    top().out += wrapTemplateBlock(frame);
+                } while (frame.kind !== marker.kind);
+            }
+            continue;
+        }
+
+        const slotRegex = buildPlaceholderRegex(m[1]);
+        const { spec, name } = parseSlotBody(m[1]);
+        // With Expressions sync, emotion slots are captured even when unnamed so the label can be applied.
+        const emotion = runtimeState.expressionLabels.length > 0 && isEmotionSlotSpec(spec);
+        // Repeated sections are not captured: unrolled copies would duplicate group names.
+        const insideRepeat = stack.some(f => f.kind === 'repeat');
+        if (Array.isArray(captureGroups) && (name || emotion) && !insideRepeat) {
+            // Local matching only: schema patterns never carry capture groups. Generated group names keep
+            // duplicate slot names valid (the last match wins when values are collected).
+            const group = `spslot${captureGroups.length}`;
+            captureGroups.push({ group, name, emotion });
+            top().out += `(?<${group}>${slotRegex})`;
+        } else {
+            top().out += slotRegex;
+        }
+    }
+    top().out += escapePrefixLiteral(unescapeTemplateLiteral(template.slice(last)));
+    while (stack.length > 1) {
+        const frame = stack.pop();
+        top().out += wrapTemplateBlock(frame);
+    }
+    return top().out;
+}
+
+const statFieldsCache = { raw: null, fields: [] };
+const reservedStatFieldNames = new Set(['response', 'thinking', 'value']);
+
+function parseStatFields(raw) {
+    const fields = [];
+    const seen = new Set();
+    for (const line of String(raw ?? '').split(/\r?\n/g)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+
+        const m = /^([A-Za-z_][A-Za-z0-9_]*)\s*:\s*(integer|int|number|float|enum|string|text|boolean|bool)\b\s*(.*)$/i.exec(trimmed);
+        if (!m) continue;
+        const name = m[1];
+        if (reservedStatFieldNames.has(name.toLowerCase()) || seen.has(name)) continue;
+
+        const hintMatch = /\|\s*hint\s*:\s*(.*)$/i.exec(m[3]);
+        const hint = hintMatch ? hintMatch[1].trim() : '';
+        const rest = (hintMatch ? m[3].slice(0, hintMatch.index) : m[3]).trim();
+        const type = ({ int: 'integer', float: 'number', text: 'string', bool: 'boolean' })[m[2].toLowerCase()] ?? m[2].toLowerCase();
+        const field = { name, type, hint };
+
+        if (type === 'integer' || type === 'number') {
+            const range = /^(-?\d+(?:\.\d+)?)\s*(?:-|\.\.|to)\s*(-?\d+(?:\.\d+)?)$/i.exec(rest);
+            if (range) {
+                const lo = Number(range[1]);
+                const hi = Number(range[2]);
+                field.min = Math.min(lo, hi);
+                field.max = Math.max(lo, hi);
+            }
+        } else if (type === 'enum') {
+            field.options = Array.from(new Set(rest.split('|').map(x => x.trim()).filter(Boolean)));
+            if (field.options.length === 0) continue;
+        } else if (type === 'string' && /^\/.+\/[a-z]*$/i.test(rest)) {
+            // Same clean-up as `[[re:]]` slots (flags and anchors dropped); the schema anchors it to the whole value.
+            const pattern = sanitizeUserRegex(rest);
+            try {
+                new RegExp(pattern);
+                if (pattern) field.pattern = pattern;
+            } catch {
+                console.warn(`[${extensionName}] Stat field ${name} has an invalid regex; leaving the value unconstrained.`);
+            }
+        }
+
+        seen.add(name);
+        fields.push(field);
+    }
+    return fields;
+}
+
+function getStatFields() {
+    const raw = String(extension_settings[extensionName]?.stat_fields ?? '');
+    if (statFieldsCache.raw !== raw) {
+        statFieldsCache.raw = raw;
+        statFieldsCache.fields = parseStatFields(raw);
+    }
+    return statFieldsCache.fields;
+}
+
+function buildStatFieldSchema(field) {
+    // Hints go to the model as schema text, which ST's macro pass never sees.
+    const hint = field.hint ? substituteParams(field.hint) : '';
+    if (field.type === 'enum') {
+        return { type: 'string', enum: [...field.options], ...(hint ? { description: hint } : {}) };
+    }
+
+    const descriptionParts = hint ? [hint] : [];
+    const schema = { type: field.type };
+    if (field.type === 'string' && field.pattern) {
+        // The conservative pattern set can't carry what `[[re:]]` slots fall back on, nor non-ASCII; there the
+        // format is only described.
+        // eslint-disable-next-line no-control-regex
+        if (runtimeState.patternMode === 'anthropic' && (isRegexRiskyForConservativeMode(field.pattern) || /[^\x00-\x7F]/.test(field.pattern))) {
+            descriptionParts.push(`Format: /${field.pattern}/.`);
+        } else {
+            schema.pattern = `^(?:${field.pattern})$`;
+        }
+    }
+    if ((field.type === 'integer' || field.type === 'number') && typeof field.min === 'number') {
+        // Anthropic structured outputs reject numeric bounds, so there the range is only stated in the description.
+        if (runtimeState.patternMode === 'anthropic') {
+            descriptionParts.push(`Between ${field.min} and ${field.max}.`);
+        } else {
+            schema.minimum = field.min;
+            schema.maximum = field.max;
+        }
+    }
+    if (descriptionParts.length > 0) schema.description = descriptionParts.join(' ');
+    return schema;
+}
+
+function isValidStatValue(field, value) {
+    switch (field.type) {
+        case 'integer':
+            return Number.isInteger(value) && (typeof field.min !== 'number' || (value >= field.min && value <= field.max));
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) && (typeof field.min !== 'number' || (value >= field.min && value <= field.max));
+        case 'enum':
+            return field.options.includes(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        default:
+            return typeof value === 'string';
+    }
+}
+
+// One stat value read straight from the raw text, for replies that aren't valid JSON as a whole (real newlines in
+// the response string, text around the object). Stat properties follow `response`, so the last match wins.
+function extractStatValueLoose(rawText, field) {
+    if (field.type === 'integer' || field.type === 'number' || field.type === 'boolean') {
+        const valueRe = field.type === 'boolean' ? '(true|false)' : '(-?\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)';
+        const last = [...rawText.matchAll(new RegExp(`"${field.name}"\\s*:\\s*${valueRe}`, 'g'))].at(-1);
+        return last ? JSON.parse(last[1]) : undefined;
+    }
+    const index = rawText.lastIndexOf(`"${field.name}"`);
+    if (index === -1) return undefined;
+    return tryExtractJsonStringField(rawText.slice(index), field.name) ?? undefined;
+}
+
+function extractStatValues(rawText) {
+    const fields = runtimeState.statFields;
+    if (!Array.isArray(fields) || fields.length === 0) return null;
+
+    const raw = String(rawText ?? '');
+    let parsed = null;
+    try {
+        parsed = JSON.parse(raw);
+    } catch {
+        // Read each field on its own below. A reply cut short has none: they come after `response`.
+    }
+
+    const stats = {};
+    for (const field of fields) {
+        const value = parsed && typeof parsed === 'object' ? parsed[field.name] : extractStatValueLoose(raw, field);
+        if (isValidStatValue(field, value)) stats[field.name] = value;
+    }
+    return Object.keys(stats).length > 0 ? stats : null;
+}
+
+function applyStatFieldsForMessage(messageId, rawText) {
+    const stats = extractStatValues(rawText);
+    const message = chat?.[messageId];
+    if (stats && message && !message.is_user && !message.is_system) {
+        message.extra ??= {};
+        const meta = (message.extra.structuredprefill && typeof message.extra.structuredprefill === 'object')
+            ? message.extra.structuredprefill
+            : {};
+        meta.stats = stats;
+        message.extra.structuredprefill = meta;
+    }
+    // The card also lists the message's `[[pick]]`/`[[dice]]`/`[[random]]` rolls, so render it even without stats.
+    renderStatsCard(messageId);
+}
+
+function createStatsCardItem(name, value, { roll = false, title = '' } = {}) {
+    const item = document.createElement('span');
+    item.className = roll ? 'structuredprefill-stat structuredprefill-roll' : 'structuredprefill-stat';
+    if (title) item.title = title;
+    const label = document.createElement('span');
+    label.className = 'structuredprefill-stat-name';
+    if (roll) {
+        const icon = document.createElement('i');
+        icon.className = 'fa-solid fa-dice';
+        label.append(icon, ' ');
+    }
+    label.append(name);
+    const val = document.createElement('span');
+    val.className = 'structuredprefill-stat-value';
+    val.textContent = typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+    item.append(label, val);
+    return item;
+}
+
+function renderStatsCard(messageId) {
+    const mesEl = document.querySelector(`.mes[mesid="${messageId}"]`);
+    if (!(mesEl instanceof HTMLElement)) return;
+    mesEl.querySelector('.structuredprefill-stats')?.remove();
+
+    const meta = chat?.[messageId]?.extra?.structuredprefill;
+    const stats = meta?.stats && typeof meta.stats === 'object' ? Object.entries(meta.stats) : [];
+    const rolls = Array.isArray(meta?.rolls) ? meta.rolls : [];
+    if (stats.length === 0 && rolls.length === 0) return;
+    const textEl = mesEl.querySelector('.mes_text');
+    if (!(textEl instanceof HTMLElement)) return;
+
+    const card = document.createElement('div');
+    card.className = 'structuredprefill-stats';
+    for (const [name, value] of stats) {
+        card.append(createStatsCardItem(name, value));
+    }
+    for (const roll of rolls) {
+        // Named rolls show their name; the others their spec (`dice:2d6+1`), with each die in the tooltip.
+        let title = '';
+        if (Array.isArray(roll.dice)) {
+            const dice = roll.dice.join(' + ');
+            const modifier = Number(roll.value) - roll.dice.reduce((a, b) => a + b, 0);
+            if (modifier) title = `${dice} ${modifier < 0 ? '-' : '+'} ${Math.abs(modifier)}`;
+            else if (roll.dice.length > 1) title = dice;
+        }
+        card.append(createStatsCardItem(roll.name || roll.slot, roll.value, { roll: true, title }));
+    }
+    textEl.after(card);
+}
+
+function renderAllStatsCards() {
+    if (!Array.isArray(chat)) return;
+    for (let i = 0; i < chat.length; i++) {
+        const meta = chat[i]?.extra?.structuredprefill;
+        if (meta?.stats || meta?.rolls) renderStatsCard(i);
     }
+}
 
-    // [[num]] or [[number:1-100]]: numeric value. Optionally constrained to a range.
-    m = /^(num|number)\s*(?::\s*(-?\d+)\s*-\s*(-?\d+))?\s*$/i.exec(body);
-    if (m) {
-        if (!m[2]) {
-            // [[num]]: any integer (with optional negative sign)
-            return `-?[0-9]+`;
-        }
-        const lo = parseInt(m[2], 10);
-        const hi = parseInt(m[3], 10);
-        const minVal = Math.min(lo, hi);
-        const maxVal = Math.max(lo, hi);
-        // For small ranges (≤30 values), enumerate them for strict constraint
-        if (maxVal - minVal <= 30) {
-            const vals = [];
-            for (let v = minVal; v <= maxVal; v++) vals.push(String(v));
-            return `(?:${vals.join('|')})`;
-        }
-        // For larger ranges, constrain by digit count
-        const minDigits = String(Math.abs(minVal)).length;
-        const maxDigits = String(Math.abs(maxVal)).length;
-        const prefix = minVal < 0 ? '-?' : '';
-        if (runtimeState.patternMode === 'anthropic') {
-            // Unroll digit counts since Anthropic doesn't support {n,m}
-            const alts = [];
-            for (let d = minDigits; d <= maxDigits; d++) {
-                alts.push(`[0-9]${'[0-9]'.repeat(d - 1)}`);
-            }
-            return `${prefix}(?:${alts.join('|')})`;
+function buildTrailingWhitespaceRegex(newlineToken) {
+    // Allow a small amount of trailing whitespace/newlines for robustness (models sometimes emit a final newline).
+    // IMPORTANT: avoid `\s` for Anthropic compatibility; keep ASCII.
+    let trailing = `[\\t \\r\\n]*`;
+    if (newlineToken && newlineToken !== '\n') {
+        // Some providers emit the newline token literally instead of real `\n`.
+        // Anthropic rejects non-ASCII patterns, so only include literal token if ASCII.
+        const tokenIsAscii = /^[\x00-\x7F]*$/.test(String(newlineToken));
+        if (tokenIsAscii) {
+            const escapedToken = escapeRegExp(newlineToken);
+            trailing = `[\\t ]*(?:${escapedToken}|\\n)?(?:[\\t ]*(?:${escapedToken}|\\n)[\\t ]*)*`;
         }
-        return `${prefix}[0-9]{${minDigits},${maxDigits}}`;
     }
+    return trailing;
+}
 
-    // Unknown placeholder: default to a single non-space token.
-    return wordToken;
+function buildSentenceEndRegex(newlineToken) {
+    // Terminal punctuation, then closing quotes/brackets/emphasis (`."`, `!*`, `?)`), then trailing whitespace.
+    // Curly closers and the ellipsis char are non-ASCII, so Anthropic mode only gets the ASCII ones.
+    const noRanges = runtimeState.patternMode === 'anthropic';
+    const punct = noRanges ? '[.!?]+' : '[.!?\u2026]+';
+    const closers = noRanges ? `["'*_)\\]~]*` : `["'*_)\\]~\u201D\u2019]*`;
+    return `${punct}${closers}${buildTrailingWhitespaceRegex(newlineToken)}`;
 }
 
-function buildPrefixRegexFromWireTemplate(wireTemplate) {
-    const template = String(wireTemplate ?? '');
-    const slotRe = /\[\[(.+?)\]\]/g;
-    let out = '';
-    let last = 0;
-    let m;
-    while ((m = slotRe.exec(template)) !== null) {
-        out += escapePrefixLiteral(template.slice(last, m.index));
-        out += buildPlaceholderRegex(m[1]);
-        last = m.index + m[0].length;
+// Anthropic mode can't use `{n,m}`, so bounded continuations are unrolled into nested optional groups; past this many
+// units the nesting gets too deep for some providers' regex engines.
+const maxUnrolledLengthUnits = 100;
+
+/**
+ * Continuation with a length range. Chars count single characters and words are whitespace-separated runs. With an
+ * Anti-Slop list the range is always counted in words (about 6 chars each) with each word checked on its own: a ban
+ * list step spans a varying number of chars, so counting steps would count neither. Anthropic mode unrolls the range:
+ * chars turn into words past `maxUnrolledLengthUnits`, and past it words are unrolled in groups of several words so
+ * the nesting stays that deep; with a ban list the range is dropped instead, since every unrolled word would carry its
+ * own copy of the list.
+ */
+function buildBoundedContinuation(bounds, antiSlop, sentenceEnd = '') {
+    const noRanges = runtimeState.patternMode === 'anthropic';
+    const anyChar = anyCharIncludingNewlineExpr();
+    let { min, max, unit } = bounds;
+
+    if (antiSlop && noRanges) {
+        console.warn(`[${extensionName}] Length range can't be unrolled together with the Anti-Slop list; leaving it out.`);
+        return `${antiSlop.step}+${antiSlop.tail}${sentenceEnd}`;
     }
-    out += escapePrefixLiteral(template.slice(last));
-    return out;
+    if (unit === 'chars' && !antiSlop && (!noRanges || max == null || max <= maxUnrolledLengthUnits)) {
+        if (!noRanges) return `${anyChar}{${min},${max ?? ''}}${sentenceEnd}`;
+        if (max == null) return `${buildRepeatPatternNoRanges(anyChar, min, min)}${anyChar}*${sentenceEnd}`;
+        return `${buildRepeatPatternNoRanges(anyChar, min, max)}${sentenceEnd}`;
+    }
+    if (unit === 'chars') {
+        min = Math.max(1, Math.floor(min / 6));
+        max = max != null ? Math.max(min, Math.ceil(max / 6)) : null;
+    }
+
+    const space = '[\\t\\r\\n ]';
+    const word = (antiSlop && getAntiSlopSlotToken(' \t\r\n')) || '[^\\t\\r\\n ]+';
+    const more = `${space}+${word}`;
+    let words;
+    if (!noRanges) {
+        words = `${word}(?:${more}){${min - 1},${max != null ? max - 1 : ''}}`;
+    } else if (max == null) {
+        words = `${word}${buildRepeatPatternNoRanges(more, min - 1, min - 1)}(?:${more})*`;
+    } else {
+        // Counted in groups of `group` words past the unroll limit, so the range is met to within one group.
+        const group = Math.ceil((max - 1) / maxUnrolledLengthUnits) || 1;
+        const maxGroups = Math.floor((max - 1) / group);
+        words = `${word}${buildRepeatPatternNoRanges(more.repeat(group), Math.min(Math.ceil((min - 1) / group), maxGroups), maxGroups)}`;
+    }
+    // The sentence end attaches to the last word (`end.`), so it doesn't count as a word of its own.
+    return `${space}*${words}${sentenceEnd || `${space}*`}`;
 }
 
 function buildJsonSchemaForPrefillValuePattern(prefix, minCharsAfterPrefix, joinSuffixRegex = '', opts = {}) {
     const mustEndAfterTemplate = !!opts?.mustEndAfterTemplate;
+    const thinkingField = !!opts?.thinkingField;
     const minChars = mustEndAfterTemplate ? 0 : clampInt(minCharsAfterPrefix, 1, 10000, 1);
     const newlineToken = runtimeState.newlineToken || '<NL>';
     const wirePrefix = encodeNewlines(prefix, newlineToken);
@@ -1699,7 +3831,10 @@ function buildJsonSchemaForPrefillValuePattern(prefix, minCharsAfterPrefix, join
     // Robust newline handling:
     // Some models/providers will emit real newlines in the parsed JSON string instead of the chosen newline token.
     // If we require `<NL>` literally, the model can get stuck trying to satisfy the schema. Allow either.
-    if (newlineToken) {
+    if (newlineToken === '\n') {
+        // Raw output (no JSON): the newline is its own token. Spell it as an escape so the pattern stays one line.
+        prefixRegex = prefixRegex.split('\n').join('\\n');
+    } else if (newlineToken) {
         const escapedToken = escapeRegExp(newlineToken);
         // Replace literal occurrences of the encoded token in the prefix regex with an alternation.
         // NOTE: This is a string replace on the regex *source*.
@@ -1732,25 +3867,22 @@ function buildJsonSchemaForPrefillValuePattern(prefix, minCharsAfterPrefix, join
     // Use `${anyChar}+` for simplicity; the stream guard already protects against pathological padding.
     const minMinusOne = Math.max(0, minChars - 1);
     const defaultAnyChar = anyCharIncludingNewlineExpr();
-    const antiSlopExpr = buildAntiSlopContinuation(extension_settings[extensionName]?.anti_slop_ban_list);
-    const anyChar = antiSlopExpr || defaultAnyChar;
-    let pattern = '';
-    if (mustEndAfterTemplate) {
-        // Allow a small amount of trailing whitespace/newlines for robustness (models sometimes emit a final newline).
-        // IMPORTANT: avoid `\s` for Anthropic compatibility; keep ASCII.
-        let trailing = `[\\t \\r\\n]*`;
-        if (newlineToken) {
-            // Some providers emit the newline token literally instead of real `\n`.
-            // Anthropic rejects non-ASCII patterns, so only include literal token if ASCII.
-            const tokenIsAscii = /^[\x00-\x7F]*$/.test(String(newlineToken));
-            if (tokenIsAscii) {
-                const escapedToken = escapeRegExp(newlineToken);
-                trailing = `[\\t ]*(?:${escapedToken}|\\n)?(?:[\\t ]*(?:${escapedToken}|\\n)[\\t ]*)*`;
-            }
-        }
-        pattern = `^(?:${prefixRegex})${trailing}$`;
+    const antiSlop = buildAntiSlopContinuation(getAntiSlopBanList());
+    const anyChar = antiSlop?.step || defaultAnyChar;
+    // Lets the text stop part-way into a possible banned match (a step can only end on a char that rules it out).
+    const antiSlopTail = antiSlop?.tail || '';
+    // Only the free continuation can be held to a sentence end; `[[end]]` templates end on their own last slot.
+    const sentenceEnd = !mustEndAfterTemplate && extension_settings[extensionName]?.require_sentence_end
+        ? buildSentenceEndRegex(newlineToken)
+        : '';
+    const lengthBounds = mustEndAfterTemplate ? null : resolveLengthBounds(opts?.lengthBounds ?? null, minChars, {
+        useGlobal: !opts?.ignoreGlobalLength,
+    });
+    let continuation;
+    if (lengthBounds) {
+        continuation = buildBoundedContinuation(lengthBounds, antiSlop, sentenceEnd);
     } else if (runtimeState.patternMode === 'anthropic') {
-        pattern = `^(?:${prefixRegex})${anyChar}+$`;
+        continuation = `${anyChar}+${antiSlopTail}${sentenceEnd}`;
     } else {
         // Avoid `\S` / `[\s\S]` because some providers reject `\S` in schema patterns.
         //
@@ -1759,7 +3891,13 @@ function buildJsonSchemaForPrefillValuePattern(prefix, minCharsAfterPrefix, join
         // That can deadlock on "newline-y" continuations (e.g. the model wants to start a new paragraph
         // right after the minimum length, but the regex requires a non-whitespace there).
         // Length-only is enough; the stream guard already protects against pathological padding loops.
-        pattern = `^(?:${prefixRegex})${anyChar}{${minChars},}$`;
+        continuation = `${anyChar}{${minChars},}${antiSlopTail}${sentenceEnd}`;
+    }
+    let pattern = '';
+    if (mustEndAfterTemplate) {
+        pattern = `^(?:${prefixRegex})${buildTrailingWhitespaceRegex(newlineToken)}$`;
+    } else {
+        pattern = `^(?:${prefixRegex})${continuation}$`;
     }
 
     // Best-effort local validation so a bad directive regex doesn't brick generation.
@@ -1771,26 +3909,42 @@ function buildJsonSchemaForPrefillValuePattern(prefix, minCharsAfterPrefix, join
         if (mustEndAfterTemplate) {
             pattern = `^(?:${prefixRegex})[\\t \\r\\n]*$`;
         } else {
-            pattern = runtimeState.patternMode === 'anthropic'
-                ? `^(?:${prefixRegex})${anyChar}+$`
-                : `^(?:${prefixRegex})${anyChar}{${minChars},}$`;
+            pattern = `^(?:${prefixRegex})${continuation}$`;
         }
     }
 
+    // Slot hints (`[[w:3|hint: the character's mood]]`) never reach the pattern; surface them as descriptions instead.
+    const hintsPlacement = normalizeSlotHintsPlacement(extension_settings[extensionName]?.slot_hints_placement);
+    const hintsDescription = hintsPlacement === 'off' ? '' : buildSlotHintsDescription(collectSlotHints(prefix));
+    const schemaDescription = (hintsPlacement === 'schema' || hintsPlacement === 'both') ? hintsDescription : '';
+    const responseDescription = (hintsPlacement === 'response' || hintsPlacement === 'both') ? hintsDescription : '';
+
+    const properties = {};
+    if (thinkingField) {
+        // Declared first so the model fills it before writing the reply.
+        properties.thinking = {
+            type: 'string',
+            description: 'Private scratchpad: plan the reply here before writing it. Not shown as part of the message.',
+        };
+    }
+    properties.response = {
+        type: 'string',
+        description: responseDescription,
+        pattern: pattern,
+    };
+    // Stat fields go after `response` so the prose is written first and streams without waiting on them.
+    for (const field of Array.isArray(opts?.statFields) ? opts.statFields : []) {
+        properties[field.name] = buildStatFieldSchema(field);
+    }
+
     return {
         name: 'response',
-        description: '',
+        description: schemaDescription,
         strict: true,
         value: {
             type: 'object',
-            properties: {
-                response: {
-                    type: 'string',
-                    description: '',
-                    pattern: pattern,
-                },
-            },
-            required: ['response'],
+            properties,
+            required: Object.keys(properties),
             additionalProperties: false,
         },
     };
@@ -1970,8 +4124,44 @@ function straightenCurlyQuotes(s) {
         .replace(/[\u2018\u2019]/g, "'");
 }
 
+function tryExtractThinking(rawText) {
+    try {
+        const parsed = JSON.parse(rawText);
+        if (parsed && typeof parsed === 'object' && typeof parsed.thinking === 'string') return parsed.thinking;
+    } catch {
+        // Partial JSON while streaming; the loose extractor stops at the `",` before `response`.
+    }
+    const loose = tryExtractJsonStringFieldLoose(rawText, 'thinking');
+    if (typeof loose === 'string') return loose;
+    return tryExtractJsonStringField(rawText, 'thinking');
+}
+
+function applyThinkingToMessage(messageId, message) {
+    if (!runtimeState.thinkingField) return;
+    const reasoning = String(runtimeState.latestThinking ?? '');
+    if (!reasoning) return;
+
+    message.extra ??= {};
+    message.extra.reasoning = reasoning;
+
+    // ST only renders `extra.reasoning` on a full re-render; keep the streaming block in sync meanwhile.
+    try {
+        const reasoningEl = document.querySelector(`.mes[mesid="${messageId}"] .mes_reasoning`);
+        if (reasoningEl instanceof HTMLElement) reasoningEl.textContent = reasoning;
+    } catch {
+        // ignore
+    }
+}
+
 function tryUnwrapStructuredOutput(text) {
     if (typeof text !== 'string' || text.length === 0) return null;
+    // Raw output is the reply itself; there is no wrapper to take off.
+    if (runtimeState.rawOutput) return normalizeNewlines(text);
+
+    if (runtimeState.thinkingField) {
+        const thinking = tryExtractThinking(text);
+        if (typeof thinking === 'string') runtimeState.latestThinking = decodeNewlines(thinking, runtimeState.newlineToken);
+    }
 
     const decode = (s) => straightenCurlyQuotes(decodeNewlines(s, runtimeState.newlineToken));
     const applyContinueJoin = (decodedValue) => {
@@ -2011,7 +4201,9 @@ function tryUnwrapStructuredOutput(text) {
     };
 
     try {
-        const parsed = JSON.parse(text);
+        let parsed = JSON.parse(text);
+        // A Claude tool_use block that reached us whole (e.g. stringified by ST) carries the object in `input`.
+        if (parsed?.type === 'tool_use' && parsed.input && typeof parsed.input === 'object') parsed = parsed.input;
         if (parsed && typeof parsed === 'object') {
             if (typeof parsed.response === 'string') {
                 const decoded = decode(parsed.response);
@@ -2097,6 +4289,8 @@ function applyTextToMessage(messageId, newText, { forceRerender = false } = {})
         return;
     }
 
+    applyThinkingToMessage(messageId, message);
+
     // Don't replace meaningful content with empty strings (e.g., on early abort)
     if (newText.trim().length === 0 && message.mes && message.mes.trim().length > 0) {
         console.debug(`[${extensionName}] Skipping empty text application to message ${messageId} (has existing content)`);
@@ -2196,6 +4390,9 @@ function applyTextToMessageStreaming(messageId, newText) {
         return;
     }
 
+    // The scratchpad streams before any `response` text exists, so apply it ahead of the empty-text check below.
+    applyThinkingToMessage(messageId, message);
+
     // Don't replace meaningful content with empty strings (e.g., on very early abort)
     if (newText.trim().length === 0 && typeof message.mes === 'string' && message.mes.trim().length > 0) {
         return;
@@ -2291,7 +4488,7 @@ function clearStopCleanupTimer() {
 
 function getRawCandidateForMessage(messageId) {
     const mes = chat?.[messageId]?.mes;
-    if (typeof mes === 'string' && (mes.includes('"response"') || mes.includes('"value"'))) return mes;
+    if (typeof mes === 'string' && (mes.includes('"response"') || mes.includes('"value"') || mes.includes('"thinking"'))) return mes;
     const latest = String(runtimeState.latestStreamText ?? '');
     if (latest.trimStart().startsWith('{')) return latest;
     return mes || latest || '';
@@ -2390,6 +4587,7 @@ function touchStopCleanup(messageId, sessionAtStop) {
             disconnectStreamObserver();
             clearStopCleanupTimer();
             clearHidePrefillState();
+            clearSlotCaptureState();
             clearContinueState();
             resetStreamGuard();
             return;
@@ -2404,6 +4602,7 @@ function touchStopCleanup(messageId, sessionAtStop) {
             disconnectStreamObserver();
             clearStopCleanupTimer();
             clearHidePrefillState();
+            clearSlotCaptureState();
             clearContinueState();
             resetStreamGuard();
             return;
@@ -2418,6 +4617,11 @@ function touchStopCleanup(messageId, sessionAtStop) {
         if (typeof textToApply === 'string' && textToApply.trim().length > 0) {
             runtimeState.lastAppliedText = textToApply;
             applyTextToMessage(messageId, textToApply, { forceRerender: true });
+            applyStatFieldsForMessage(messageId, raw);
+            // A stopped reply may still have finished the prefix; keep whatever named slots it filled.
+            if (!runtimeState.continue.active) {
+                applySlotCapturesForMessage(messageId, textToApply);
+            }
         } else {
             console.debug(`[${extensionName}] Stop cleanup: no valid text to apply, skipping render`);
         }
@@ -2432,22 +4636,29 @@ function touchStopCleanup(messageId, sessionAtStop) {
         disconnectStreamObserver();
         clearStopCleanupTimer();
         clearHidePrefillState();
+        clearSlotCaptureState();
         clearContinueState();
         resetStreamGuard();
     }, 900);
 }
 
 async function onChatCompletionSettingsReady(generateData) {
+    // A Claude request that was never sent must not leave its adapter waiting for the next one.
+    disarmClaudeToolUseAdapter();
     const settings = extension_settings[extensionName];
     if (!settings?.enabled) return;
     if (!generateData || typeof generateData !== 'object') return;
 
     clearPostStopDomFixTimer();
 
-    if (!supportsStructuredPrefillForSource(generateData.chat_completion_source)) return;
+    if (!supportsStructuredPrefillForSource(generateData.chat_completion_source, generateData.model)) return;
     if (generateData.json_schema) return;
     // Avoid conflicts with tool-calling in early testing; can be revisited later.
     if (Array.isArray(generateData.tools) && generateData.tools.length > 0) return;
+    if (isClaudeThinkingRequest(generateData)) {
+        console.debug(`[${extensionName}] Claude extended thinking is on; a forced schema tool would be rejected, skipping.`);
+        return;
+    }
 
     const requestType = String(generateData.type ?? '').toLowerCase();
 
@@ -2458,12 +4669,18 @@ async function onChatCompletionSettingsReady(generateData) {
     if (requestType === 'impersonate' || requestType === 'quiet') return;
 
     const isContinue = requestType === 'continue';
+    // Raw output replaces the whole JSON wrapper, which Continue's join logic relies on; Continue keeps json_schema.
+    const rawOutputField = (!isContinue && String(generateData.chat_completion_source ?? '').toLowerCase() === 'custom')
+        ? getCustomRawOutputField(generateData)
+        : '';
 
     const messages = generateData.messages;
     if (!Array.isArray(messages) || messages.length === 0) return;
 
     const src = String(generateData.chat_completion_source ?? '').toLowerCase();
     const modelId = String(generateData.model ?? '');
+    runtimeState.capabilities = resolveCapabilities(src, modelId);
+    renderCapabilityInfo();
     runtimeState.patternMode = getPatternModeForRequest(src, modelId);
 
     // Collect known character names for the [[name]] placeholder.
@@ -2513,7 +4730,19 @@ async function onChatCompletionSettingsReady(generateData) {
 
     resetStreamGuard();
     clearHidePrefillState();
+    clearSlotCaptureState();
     clearContinueState();
+    runtimeState.rawOutput = !!rawOutputField;
+    // Chosen again below; don't let a raw-mode "\n" token from an earlier request leak into the strippers.
+    runtimeState.newlineToken = '';
+
+    // Resolve `[[lore:...]]` option lists up front: the schema, strippers and slot capture all need them.
+    runtimeState.loreOptions = await resolveLoreSlotOptions(tailContent);
+    runtimeState.expressionLabels = (settings.expressions_sync && !isContinue && templateHasEmotionSlot(tailContent))
+        ? await fetchExpressionLabels(generateData.char_name)
+        : [];
+
+    runtimeState.rolls = [];
 
     // Reset per-generation targeting so we don't apply to an unrelated swipe.
     runtimeState.trackedSwipeId = -1;
@@ -2525,6 +4754,7 @@ async function onChatCompletionSettingsReady(generateData) {
     let schemaPrefix = '';
     let joinSuffixRegex = '';
     let mustEndAfterTemplate = false;
+    let lengthBounds = null;
     let prefillTemplate = String(tailContent ?? '');
 
     if (isContinue) {
@@ -2591,7 +4821,8 @@ async function onChatCompletionSettingsReady(generateData) {
             }
         }
 
-        buildContinueStripper(baseText);
+        // The base message is chat text, not a template: escape any `[[` so it can't turn into a slot.
+        buildContinueStripper(escapeTemplateLiteral(baseText));
 
         const overlapChars = clampInt(settings.continue_overlap_chars, 0, 120, 14);
         const overlap = computeContinueOverlapBase(baseText, overlapChars);
@@ -2608,7 +4839,7 @@ async function onChatCompletionSettingsReady(generateData) {
         // - Short overlap of the existing message tail (also stripped back out)
         // joinPlaceholder is raw regex appended directly to the prefix pattern (not a [[...]] slot)
         // to avoid slot-parser issues with `]` inside character classes.
-        schemaPrefix = `${pmPrefix || ''}${overlap}`;
+        schemaPrefix = `${pmPrefix || ''}${escapeTemplateLiteral(overlap)}`;
         runtimeState.newlineToken = chooseNewlineToken(schemaPrefix || baseText, settings.newline_token);
     } else {
         // Prefill generator: replace any `[[pg]]` placeholders by calling a separate model/profile.
@@ -2649,35 +4880,37 @@ async function onChatCompletionSettingsReady(generateData) {
                 }
             }
 
-            prefillTemplate = String(prefillTemplate ?? '').replace(/\[\[\s*pg\s*\]\]/gi, String(generated ?? ''));
+            prefillTemplate = String(prefillTemplate ?? '').replace(/(?<!\\)\[\[\s*pg\s*\]\]/gi, String(generated ?? ''));
         }
 
+        const rolled = rollTemplateRandomSlots(prefillTemplate);
+        prefillTemplate = rolled.template;
+        runtimeState.rolls = rolled.rolls;
+
         // Remove the assistant prefill message and replace it with a structured output constraint.
         messages.splice(tailIndex, 1);
 
         // Legacy cleanup: if the user has old `[[SP: ...]]` blocks in their prefill, strip them.
         // StructuredPrefill now uses `[[...]]` as *slots* inside the prefix template.
-        prefillTemplate = String(prefillTemplate ?? '').replace(/\[\[\s*sp\s*:[^\]]*\]\]/gi, '');
+        prefillTemplate = String(prefillTemplate ?? '').replace(/(?<!\\)\[\[\s*sp\s*:[^\]]*\]\]/gi, '');
         // SAFEGUARD:
         // Literal `"` characters inside the prefix are very common in templates (e.g. quoting example thoughts),
         // but in "best-effort JSON" implementations they can cause repeated premature JSON-string termination
         // (model emits an unescaped `"` and the reply gets truncated at the same spot every time).
         // Converting literal quotes to curly quotes avoids needing escapes and dramatically improves robustness.
-        prefillTemplate = curlyQuoteLiteralsOutsideSlots(prefillTemplate);
+        // Raw output has no JSON string to break, so it keeps the quotes as written.
+        if (!runtimeState.rawOutput) prefillTemplate = curlyQuoteLiteralsOutsideSlots(prefillTemplate);
+
+        const lengthSplit = splitLengthDirective(prefillTemplate);
+        prefillTemplate = lengthSplit.template;
+        lengthBounds = lengthSplit.bounds;
 
         const endSplit = splitEndPrefillTemplate(prefillTemplate);
         prefillTemplate = endSplit.template;
         mustEndAfterTemplate = endSplit.hasEndMarker;
 
         schemaPrefix = prefillTemplate;
-        runtimeState.newlineToken = chooseNewlineToken(schemaPrefix, settings.newline_token);
-        if (settings.hide_prefill_in_display) {
-            // Build the stripper from the *straight-quoted* version of the template.
-            // `curlyQuoteLiteralsOutsideSlots` converts `"` to curly `""` for JSON robustness in the schema pattern,
-            // but the decoded output is straightened back by `straightenCurlyQuotes` in the decode pipeline.
-            // The stripper must match straight quotes in the decoded text.
-            buildPrefillStripper(straightenCurlyQuotes(schemaPrefix));
-        }
+        runtimeState.newlineToken = chooseOutputNewlineToken(schemaPrefix, settings.newline_token);
     }
 
     // User constraint (repo-local): do not insert any new "nudge" message content.
@@ -2710,12 +4943,59 @@ async function onChatCompletionSettingsReady(generateData) {
 
     const minCharsSetting = clampInt(settings.min_chars_after_prefix, 1, 10000, 80);
     const minCharsAfterPrefix = isContinue ? 1 : (mustEndAfterTemplate ? 0 : minCharsSetting);
-    generateData.json_schema = buildJsonSchemaForPrefillValuePattern(schemaPrefix, minCharsAfterPrefix, joinSuffixRegex, { mustEndAfterTemplate });
+    // Continue keeps the message's existing reasoning, so the scratchpad is only offered for new replies.
+    // Both extras are JSON properties, so raw output has neither.
+    runtimeState.thinkingField = !!settings.thinking_field && !isContinue && !runtimeState.rawOutput;
+    runtimeState.latestThinking = '';
+    runtimeState.statFields = runtimeState.rawOutput ? [] : getStatFields();
+    const { schema, antiSlopList } = buildSchemaWithinAntiSlopBudget(() => buildJsonSchemaForPrefillValuePattern(schemaPrefix, minCharsAfterPrefix, joinSuffixRegex, {
+        mustEndAfterTemplate,
+        // Continue only adds to an existing message, so length caps apply to new replies.
+        lengthBounds: isContinue ? null : lengthBounds,
+        ignoreGlobalLength: isContinue,
+        thinkingField: runtimeState.thinkingField,
+        statFields: runtimeState.statFields,
+    }));
+
+    if (!isContinue) {
+        // Slots are rebuilt with the ban list the schema kept, so text the sent pattern allows is always matched.
+        runtimeState.antiSlopList = antiSlopList;
+        try {
+            if (settings.hide_prefill_in_display) {
+                // Build the stripper from the *straight-quoted* version of the template.
+                // `curlyQuoteLiteralsOutsideSlots` converts `"` to curly `""` for JSON robustness in the schema pattern,
+                // but the decoded output is straightened back by `straightenCurlyQuotes` in the decode pipeline.
+                // The stripper must match straight quotes in the decoded text.
+                buildPrefillStripper(straightenCurlyQuotes(schemaPrefix));
+            }
+            // Same reasoning as the stripper: named slot values are read from the straightened, decoded text.
+            buildSlotCaptureMatcher(straightenCurlyQuotes(schemaPrefix));
+        } finally {
+            runtimeState.antiSlopList = null;
+        }
+    }
+    if (runtimeState.rawOutput) {
+        const pattern = String(schema?.value?.properties?.response?.pattern ?? '');
+        try {
+            // Guided regex always matches the whole output, and outlines/xgrammar reject `^` / `$`.
+            addCustomIncludeBodyField(generateData, rawOutputField, customRawOutputFields[rawOutputField] === 'gbnf'
+                ? translateRegexToGbnf(pattern)
+                : pattern.replace(/^\^/, '').replace(/\$$/, ''));
+        } catch (err) {
+            console.warn(`[${extensionName}] Could not send the pattern as ${rawOutputField}; the reply is unconstrained.`, err);
+        }
+    } else {
+        generateData.json_schema = schema;
+    }
+    runtimeState.patternSizes[src || 'unknown'] = measurePatternBytes(schema?.value?.properties?.response?.pattern);
+    renderAntiSlopSizeInfo();
+    if (src === 'claude') armClaudeToolUseAdapter();
 
     // Debug: log the structured output regex pattern that we inject.
     try {
-        console.debug(`[${extensionName}] Injecting structured prefill: source=${src} model=${modelId} schema=response.pattern mode=${runtimeState.patternMode}`);
-        const injectedPattern = generateData?.json_schema?.value?.properties?.response?.pattern
+        const target = runtimeState.rawOutput ? `custom_include_body.${rawOutputField}` : 'response.pattern';
+        console.debug(`[${extensionName}] Injecting structured prefill: source=${src} model=${modelId} schema=${target} mode=${runtimeState.patternMode}`);
+        const injectedPattern = schema?.value?.properties?.response?.pattern
             ?? generateData?.json_schema?.value?.properties?.value?.pattern;
         if (typeof injectedPattern === 'string' && injectedPattern.length > 0) {
             console.debug(`[${extensionName}] Injected json_schema pattern (${injectedPattern.length} chars):`, injectedPattern);
@@ -2754,6 +5034,376 @@ async function onChatCompletionSettingsReady(generateData) {
     }
 }
 
+// --- Text Completion -------------------------------------------------------------------------------------------------
+// TC prompts have no assistant tail to read a template from, so they use their own template setting. The template is
+// compiled by the same pattern builder (slots, `[[end]]`, `[[len]]`, Anti-Slop) but for raw text: real newlines, no
+// JSON wrapper, no curly quotes. Backends that take GBNF get it translated; regex backends get the pattern itself.
+const textCompletionConstraintTargets = {
+    llamacpp: { kind: 'gbnf', field: 'grammar' },
+    koboldcpp: { kind: 'gbnf', field: 'grammar' },
+    ooba: { kind: 'gbnf', field: 'grammar_string' },
+    vllm: { kind: 'regex', field: 'guided_regex' },
+    aphrodite: { kind: 'regex', field: 'guided_regex' },
+    tabby: { kind: 'regex', field: 'regex_pattern' },
+};
+
+const regexWhitespaceRanges = [[0x09, 0x0D], [0x20, 0x20], [0xA0, 0xA0], [0x1680, 0x1680], [0x2000, 0x200A], [0x2028, 0x2029], [0x202F, 0x202F], [0x205F, 0x205F], [0x3000, 0x3000], [0xFEFF, 0xFEFF]];
+const regexWordRanges = [[0x30, 0x39], [0x41, 0x5A], [0x5F, 0x5F], [0x61, 0x7A]];
+const regexDigitRanges = [[0x30, 0x39]];
+
+/**
+ * Parse the regex subset our pattern builder emits (literals, classes, `.`, groups, `|`, greedy/lazy quantifiers and
+ * `^`/`$` at the ends) into a small AST. Lookarounds, backreferences and `\b` throw: GBNF has no equivalent.
+ */
+function parseRegexForGrammar(source) {
+    const src = String(source ?? '');
+    let i = 0;
+
+    const readCodePoint = () => {
+        const cp = src.codePointAt(i);
+        i += cp > 0xFFFF ? 2 : 1;
+        return cp;
+    };
+
+    // Returns a code point, or `{ ranges, negated }` for a shorthand class.
+    const parseEscape = (inClass) => {
+        const ch = src[i++];
+        if (ch === undefined) throw new Error('Trailing backslash');
+        switch (ch) {
+            case 'd': return { ranges: regexDigitRanges, negated: false };
+            case 'D': return { ranges: regexDigitRanges, negated: true };
+            case 'w': return { ranges: regexWordRanges, negated: false };
+            case 'W': return { ranges: regexWordRanges, negated: true };
+            case 's': return { ranges: regexWhitespaceRanges, negated: false };
+            case 'S': return { ranges: regexWhitespaceRanges, negated: true };
+            case 'n': return 0x0A;
+            case 'r': return 0x0D;
+            case 't': return 0x09;
+            case 'f': return 0x0C;
+            case 'v': return 0x0B;
+            case '0': return 0x00;
+            case 'b':
+                if (inClass) return 0x08;
+                throw new Error('Word boundaries (\\b) have no grammar equivalent');
+            case 'x': {
+                const hex = /^[0-9a-fA-F]{2}/.exec(src.slice(i));
+                if (!hex) return 0x78;
+                i += 2;
+                return parseInt(hex[0], 16);
+            }
+            case 'u': {
+                const hex = /^[0-9a-fA-F]{4}/.exec(src.slice(i));
+                if (!hex) return 0x75;
+                i += 4;
+                return parseInt(hex[0], 16);
+            }
+            default:
+                if (/[1-9]/.test(ch) || ch === 'B' || ch === 'k') throw new Error(`Unsupported escape \\${ch}`);
+                i--;
+                return readCodePoint();
+        }
+    };
+
+    const parseClass = () => {
+        let negated = false;
+        if (src[i] === '^') {
+            negated = true;
+            i++;
+        }
+        const ranges = [];
+        while (i < src.length && src[i] !== ']') {
+            let lo;
+            if (src[i] === '\\') {
+                i++;
+                lo = parseEscape(true);
+                if (typeof lo === 'object') {
+                    if (lo.negated) throw new Error('Negated shorthand inside a character class');
+                    ranges.push(...lo.ranges);
+                    continue;
+                }
+            } else {
+                lo = readCodePoint();
+            }
+            let hi = lo;
+            if (src[i] === '-' && src[i + 1] !== undefined && src[i + 1] !== ']') {
+                i++;
+                if (src[i] === '\\') {
+                    i++;
+                    hi = parseEscape(true);
+                    if (typeof hi === 'object') throw new Error('Shorthand class as a range end');
+                } else {
+                    hi = readCodePoint();
+                }
+            }
+            ranges.push([lo, hi]);
+        }
+        if (src[i++] !== ']') throw new Error('Unterminated character class');
+        return { type: 'class', negated, ranges };
+    };
+
+    const parseQuantifier = (atom) => {
+        let min;
+        let max;
+        const ch = src[i];
+        if (ch === '*') {
+            [min, max] = [0, Infinity];
+            i++;
+        } else if (ch === '+') {
+            [min, max] = [1, Infinity];
+            i++;
+        } else if (ch === '?') {
+            [min, max] = [0, 1];
+            i++;
+        } else if (ch === '{') {
+            const m = /^\{(\d+)(,(\d*))?\}/.exec(src.slice(i));
+            if (!m) return atom;
+            min = Number(m[1]);
+            max = m[2] ? (m[3] ? Number(m[3]) : Infinity) : min;
+            i += m[0].length;
+        } else {
+            return atom;
+        }
+        // Lazy and greedy match the same strings; only the preference differs.
+        if (src[i] === '?') i++;
+        return parseQuantifier({ type: 'repeat', body: atom, min, max });
+    };
+
+    const parseAtom = () => {
+        const ch = src[i];
+        if (ch === '^' || ch === '$') {
+            // The builder only anchors the ends; grammars and guided regex always match the whole output.
+            i++;
+            return null;
+        }
+        if (ch === '(') {
+            i++;
+            if (src.startsWith('?:', i)) {
+                i += 2;
+            } else if (src[i] === '?') {
+                throw new Error('Lookarounds and named groups have no grammar equivalent');
+            }
+            const body = parseAlternation();
+            if (src[i++] !== ')') throw new Error('Unterminated group');
+            return { type: 'group', body };
+        }
+        if (ch === '[') {
+            i++;
+            return parseClass();
+        }
+        if (ch === '.') {
+            i++;
+            return { type: 'class', negated: true, ranges: [[0x0A, 0x0A], [0x0D, 0x0D], [0x2028, 0x2029]] };
+        }
+        if (ch === '\\') {
+            i++;
+            const esc = parseEscape(false);
+            return typeof esc === 'object' ? { type: 'class', ...esc } : { type: 'char', cp: esc };
+        }
+        if (ch === '*' || ch === '+' || ch === '?') throw new Error(`Nothing to repeat at ${i}`);
+        return { type: 'char', cp: readCodePoint() };
+    };
+
+    const parseSequence = () => {
+        const items = [];
+        while (i < src.length && src[i] !== '|' && src[i] !== ')') {
+            const atom = parseAtom();
+            if (atom) items.push(parseQuantifier(atom));
+        }
+        return { type: 'seq', items };
+    };
+
+    const parseAlternation = () => {
+        const branches = [parseSequence()];
+        while (src[i] === '|') {
+            i++;
+            branches.push(parseSequence());
+        }
+        return branches.length === 1 ? branches[0] : { type: 'alt', branches };
+    };
+
+    const ast = parseAlternation();
+    if (i < src.length) throw new Error(`Unexpected ')' at ${i}`);
+    return ast;
+}
+
+function gbnfEscapeCodePoint(cp, inClass) {
+    if (cp === 0x5C) return '\\\\';
+    if (cp === 0x0A) return '\\n';
+    if (cp === 0x0D) return '\\r';
+    if (cp === 0x09) return '\\t';
+    if (!inClass && cp === 0x22) return '\\"';
+    if (inClass && (cp === 0x5D || cp === 0x5B || cp === 0x2D || cp === 0x5E)) return `\\${String.fromCodePoint(cp)}`;
+    if (cp < 0x20 || cp === 0x7F) return `\\x${cp.toString(16).padStart(2, '0')}`;
+    // Escape non-ASCII too: invisible whitespace and curly quotes are hard to read in a grammar dump.
+    if (cp > 0xFFFF) return `\\U${cp.toString(16).padStart(8, '0')}`;
+    if (cp > 0x7E) return `\\u${cp.toString(16).padStart(4, '0')}`;
+    return String.fromCodePoint(cp);
+}
+
+/**
+ * Translate a JS regex from the pattern builder into a GBNF grammar (llama.cpp / KoboldCpp / text-generation-webui).
+ * Large repeated groups (Anti-Slop steps show up once per slot) become shared rules to keep the grammar small.
+ */
+function translateRegexToGbnf(pattern) {
+    const ast = parseRegexForGrammar(pattern);
+    const rules = new Map();
+
+    const ruleFor = (body) => {
+        if (body.length < 80) return `(${body})`;
+        if (!rules.has(body)) rules.set(body, `sp${rules.size + 1}`);
+        return rules.get(body);
+    };
+
+    const emitClass = (node) => {
+        const body = node.ranges
+            .map(([lo, hi]) => (lo === hi ? gbnfEscapeCodePoint(lo, true) : `${gbnfEscapeCodePoint(lo, true)}-${gbnfEscapeCodePoint(hi, true)}`))
+            .join('');
+        if (!body) {
+            // `[^]` is any char; `[]` can never match.
+            if (node.negated) return '[\\x00-\\U0010FFFF]';
+            throw new Error('Empty character class');
+        }
+        return `[${node.negated ? '^' : ''}${body}]`;
+    };
+
+    // Something a quantifier can apply to: a literal, a class, a rule name or a parenthesized expression.
+    const emitAtom = (node) => {
+        const text = emit(node);
+        if (!text) return '';
+        if (/^(?:"(?:[^"\\]|\\.)*"|\[(?:[^\]\\]|\\.)*\]|sp\d+)$/.test(text)) return text;
+        return ruleFor(text);
+    };
+
+    // Returns '' for an expression that only matches the empty string.
+    const emit = (node) => {
+        switch (node.type) {
+            case 'char':
+                return `"${gbnfEscapeCodePoint(node.cp, false)}"`;
+            case 'class':
+                return emitClass(node);
+            case 'group': {
+                // A top-level `|` needs its own parentheses (or rule) inside a sequence.
+                return node.body.type === 'alt' ? emitAtom(node.body) : emit(node.body);
+            }
+            case 'seq': {
+                const parts = [];
+                for (const item of node.items) {
+                    const part = emit(item);
+                    if (!part) continue;
+                    // Merge runs of literal chars into one string.
+                    const prev = parts[parts.length - 1];
+                    if (item.type === 'char' && prev && /^"(?:[^"\\]|\\.)*"$/.test(prev)) {
+                        parts[parts.length - 1] = prev.slice(0, -1) + part.slice(1);
+                    } else {
+                        parts.push(part);
+                    }
+                }
+                return parts.join(' ');
+            }
+            case 'alt': {
+                const branches = node.branches.map(emit);
+                const nonEmpty = [...new Set(branches.filter(Boolean))];
+                if (nonEmpty.length === 0) return '';
+                const joined = nonEmpty.join(' | ');
+                return nonEmpty.length < branches.length ? `(${joined})?` : joined;
+            }
+            case 'repeat': {
+                const atom = emitAtom(node.body);
+                if (!atom || node.max === 0) return '';
+                if (node.min === 0 && node.max === Infinity) return `${atom}*`;
+                if (node.min === 1 && node.max === Infinity) return `${atom}+`;
+                if (node.min === 0 && node.max === 1) return `${atom}?`;
+                if (node.max === Infinity) return `${atom}{${node.min},}`;
+                if (node.min === node.max) return `${atom}{${node.min}}`;
+                return `${atom}{${node.min},${node.max}}`;
+            }
+            default:
+                throw new Error(`Unknown node ${node.type}`);
+        }
+    };
+
+    const root = emit(ast) || '""';
+    const lines = [`root ::= ${root}`];
+    for (const [body, name] of rules) lines.push(`${name} ::= ${body}`);
+    return lines.join('\n');
+}
+
+/**
+ * Compile a prefill template into a regex for raw text output (no JSON wrapper, real newlines, straight quotes).
+ * Returns null when there's nothing to constrain.
+ */
+function buildRawPrefillPattern(template) {
+    const settings = extension_settings[extensionName] ?? {};
+    let prefillTemplate = String(template ?? '');
+    if (!prefillTemplate.trim()) return null;
+
+    // `[[pg]]` needs a chat request to run against; raw mode has none, so it drops out.
+    prefillTemplate = prefillTemplate.replace(/(?<!\\)\[\[\s*pg\s*\]\]/gi, '');
+    const rolled = rollTemplateRandomSlots(prefillTemplate);
+    runtimeState.rolls = rolled.rolls;
+    const lengthSplit = splitLengthDirective(rolled.template);
+    const endSplit = splitEndPrefillTemplate(lengthSplit.template);
+
+    runtimeState.patternMode = 'default';
+    runtimeState.rawOutput = true;
+    runtimeState.newlineToken = chooseOutputNewlineToken(endSplit.template, settings.newline_token);
+    const minChars = endSplit.hasEndMarker ? 0 : clampInt(settings.min_chars_after_prefix, 1, 10000, 80);
+    const schema = buildJsonSchemaForPrefillValuePattern(endSplit.template, minChars, '', {
+        mustEndAfterTemplate: endSplit.hasEndMarker,
+        lengthBounds: lengthSplit.bounds,
+    });
+    return schema?.value?.properties?.response?.pattern ?? null;
+}
+
+async function onTextCompletionSettingsReady(params) {
+    const settings = extension_settings[extensionName];
+    if (!settings?.enabled || !settings.tc_enabled) return;
+    if (!params || typeof params !== 'object') return;
+
+    // Only a generation ST just started gets the template (`generateRaw` calls from other extensions start none), and
+    // continue, impersonate and quiet don't write a fresh reply that the template could start.
+    const requestType = String(runtimeState.lastGenerationType ?? '').toLowerCase();
+    if (!requestType || requestType === 'continue' || requestType === 'impersonate' || requestType === 'quiet') return;
+
+    const apiType = String(params.api_type ?? SillyTavern.getContext()?.textCompletionSettings?.type ?? '').toLowerCase();
+    const target = textCompletionConstraintTargets[apiType];
+    if (!target) return;
+    if (params[target.field] || (target.kind === 'gbnf' && (params.grammar || params.grammar_string))) {
+        console.warn(`[${extensionName}] ${apiType} request already has a grammar/regex constraint; leaving it alone.`);
+        return;
+    }
+
+    const template = String(settings.tc_prefill_template ?? '');
+    if (!template.trim()) return;
+
+    // Building the pattern goes through the same runtime state as a chat completion injection, which may still be
+    // waiting on its reply (stream unwrap, slot captures, display); put it all back afterwards.
+    const saved = {
+        patternMode: runtimeState.patternMode,
+        rawOutput: runtimeState.rawOutput,
+        newlineToken: runtimeState.newlineToken,
+        rolls: runtimeState.rolls,
+        knownNames: runtimeState.knownNames,
+        loreOptions: runtimeState.loreOptions,
+        expressionLabels: runtimeState.expressionLabels,
+    };
+    try {
+        const context = SillyTavern.getContext();
+        runtimeState.knownNames = [context?.name1, context?.name2].map(n => String(n ?? '').trim()).filter(Boolean);
+        runtimeState.loreOptions = await resolveLoreSlotOptions(template);
+        runtimeState.expressionLabels = [];
+
+        const pattern = buildRawPrefillPattern(template);
+        if (!pattern) return;
+        params[target.field] = target.kind === 'gbnf' ? translateRegexToGbnf(pattern) : pattern.replace(/^\^/, '').replace(/\$$/, '');
+        console.debug(`[${extensionName}] Injected ${target.kind} constraint for ${apiType} (${params[target.field].length} chars):`, params[target.field]);
+    } catch (err) {
+        console.warn(`[${extensionName}] Could not build a ${target.kind} constraint for ${apiType}; sending the request unconstrained.`, err);
+    } finally {
+        Object.assign(runtimeState, saved);
+    }
+}
+
 function scheduleStreamUnwrap(rawText) {
     const settings = extension_settings[extensionName];
     if (!settings?.enabled) return;
@@ -2788,6 +5438,11 @@ function onMessageReceived(messageId) {
     const unwrapped = tryUnwrapStructuredOutput(String(raw));
     if (typeof unwrapped === 'string') runtimeState.lastAppliedText = unwrapped;
     applyTextToMessage(messageId, (typeof unwrapped === 'string' ? unwrapped : chat?.[messageId]?.mes ?? ''), { forceRerender: true });
+    applyStatFieldsForMessage(messageId, raw);
+    // Named slots are matched against the full decoded text (before hide-prefill strips the prefix).
+    if (typeof unwrapped === 'string' && !runtimeState.continue.active) {
+        applySlotCapturesForMessage(messageId, unwrapped);
+    }
 
     runtimeState.active = false;
     runtimeState.stopping = false;
@@ -2795,11 +5450,19 @@ function onMessageReceived(messageId) {
     clearStopCleanupTimer();
     disconnectStreamObserver();
     clearHidePrefillState();
+    clearSlotCaptureState();
     clearContinueState();
     resetStreamGuard();
 }
 
+function onGenerationEnded() {
+    disarmClaudeToolUseAdapter();
+    runtimeState.lastGenerationType = '';
+}
+
 function onGenerationStopped() {
+    disarmClaudeToolUseAdapter();
+    runtimeState.lastGenerationType = '';
     if (!runtimeState.active) return;
     clearPostStopDomFixTimer();
 
@@ -2825,6 +5488,8 @@ function renderSettingsToUi() {
     $('#structuredprefill_enabled').prop('checked', !!settings.enabled);
     $('#structuredprefill_hide_prefill_in_display').prop('checked', !!settings.hide_prefill_in_display);
     $('#structuredprefill_min_chars_after_prefix').val(String(settings.min_chars_after_prefix ?? 80));
+    $('#structuredprefill_max_after_prefix').val(String(settings.max_after_prefix ?? 0));
+    $('#structuredprefill_max_after_prefix_unit').val(settings.max_after_prefix_unit === 'words' ? 'words' : 'chars');
     $('#structuredprefill_prefill_gen_enabled').prop('checked', !!settings.prefill_gen_enabled);
     $('#structuredprefill_prefill_gen_extra_prompt').val(String(settings.prefill_gen_extra_prompt ?? ''));
     $('#structuredprefill_prefill_gen_extra_prompt_role').val(normalizePrefillGenExtraPromptRole(settings.prefill_gen_extra_prompt_role));
@@ -2834,8 +5499,26 @@ function renderSettingsToUi() {
     $('#structuredprefill_prefill_gen_timeout_ms').val(String(settings.prefill_gen_timeout_ms ?? 120000));
     renderPrefillGenProfileSelect();
     $('#structuredprefill_newline_token').val(String(settings.newline_token ?? '<NL>'));
+    $('#structuredprefill_slot_hints_placement').val(normalizeSlotHintsPlacement(settings.slot_hints_placement));
+    $('#structuredprefill_require_sentence_end').prop('checked', !!settings.require_sentence_end);
+    $('#structuredprefill_thinking_field').prop('checked', !!settings.thinking_field);
+    $('#structuredprefill_slot_library').val(String(settings.slot_library ?? ''));
+    $('#structuredprefill_stat_fields').val(String(settings.stat_fields ?? ''));
+    $('#structuredprefill_capability_overrides').val(String(settings.capability_overrides ?? ''));
+    $('#structuredprefill_custom_raw_output').val(Object.hasOwn(customRawOutputFields, settings.custom_raw_output) ? settings.custom_raw_output : '');
+    $('#structuredprefill_tc_enabled').prop('checked', !!settings.tc_enabled);
+    $('#structuredprefill_tc_prefill_template').val(String(settings.tc_prefill_template ?? ''));
+    renderCapabilityInfo();
+    renderCapabilityProbeResult();
+    $('#structuredprefill_expressions_sync').prop('checked', !!settings.expressions_sync);
     $('#structuredprefill_continue_overlap_chars').val(String(settings.continue_overlap_chars ?? 14));
     $('#structuredprefill_anti_slop_ban_list').val(String(settings.anti_slop_ban_list ?? ''));
+    $('#structuredprefill_anti_slop_max_bytes').val(String(settings.anti_slop_max_bytes ?? 32768));
+    $('#structuredprefill_anti_slop_use_global').prop('checked', settings.anti_slop_use_global !== false);
+    $('#structuredprefill_anti_slop_use_character').prop('checked', settings.anti_slop_use_character !== false);
+    $('#structuredprefill_anti_slop_use_chat').prop('checked', settings.anti_slop_use_chat !== false);
+    renderScopedAntiSlopLists();
+    renderAntiSlopSizeInfo();
 }
 
 function setupUiListeners() {
@@ -2861,6 +5544,21 @@ function setupUiListeners() {
             saveSettingsDebounced();
         });
 
+    $('#structuredprefill_max_after_prefix')
+        .off('change')
+        .on('change', () => {
+            extension_settings[extensionName].max_after_prefix = clampInt($('#structuredprefill_max_after_prefix').val(), 0, 100000, 0);
+            $('#structuredprefill_max_after_prefix').val(String(extension_settings[extensionName].max_after_prefix));
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_max_after_prefix_unit')
+        .off('change')
+        .on('change', () => {
+            extension_settings[extensionName].max_after_prefix_unit = $('#structuredprefill_max_after_prefix_unit').val() === 'words' ? 'words' : 'chars';
+            saveSettingsDebounced();
+        });
+
     $('#structuredprefill_prefill_gen_enabled')
         .off('click')
         .on('click', () => {
@@ -2927,6 +5625,57 @@ function setupUiListeners() {
             saveSettingsDebounced();
         });
 
+    $('#structuredprefill_slot_hints_placement')
+        .off('change')
+        .on('change', () => {
+            extension_settings[extensionName].slot_hints_placement = normalizeSlotHintsPlacement($('#structuredprefill_slot_hints_placement').val());
+            $('#structuredprefill_slot_hints_placement').val(extension_settings[extensionName].slot_hints_placement);
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_require_sentence_end')
+        .off('click')
+        .on('click', () => {
+            extension_settings[extensionName].require_sentence_end = !!$('#structuredprefill_require_sentence_end').prop('checked');
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_thinking_field')
+        .off('click')
+        .on('click', () => {
+            extension_settings[extensionName].thinking_field = !!$('#structuredprefill_thinking_field').prop('checked');
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_stat_fields')
+        .off('input')
+        .on('input', () => {
+            extension_settings[extensionName].stat_fields = String($('#structuredprefill_stat_fields').val() ?? '');
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_capability_overrides')
+        .off('input')
+        .on('input', () => {
+            extension_settings[extensionName].capability_overrides = String($('#structuredprefill_capability_overrides').val() ?? '');
+            renderCapabilityInfo();
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_slot_library')
+        .off('input')
+        .on('input', () => {
+            extension_settings[extensionName].slot_library = String($('#structuredprefill_slot_library').val() ?? '');
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_expressions_sync')
+        .off('click')
+        .on('click', () => {
+            extension_settings[extensionName].expressions_sync = !!$('#structuredprefill_expressions_sync').prop('checked');
+            saveSettingsDebounced();
+        });
+
     $('#structuredprefill_continue_overlap_chars')
         .off('change')
         .on('change', () => {
@@ -2940,6 +5689,74 @@ function setupUiListeners() {
         .on('input', () => {
             extension_settings[extensionName].anti_slop_ban_list = String($('#structuredprefill_anti_slop_ban_list').val() ?? '');
             saveSettingsDebounced();
+            scheduleAntiSlopSizeInfo();
+        });
+
+    for (const scope of ['global', 'character', 'chat']) {
+        const key = `anti_slop_use_${scope}`;
+        $(`#structuredprefill_${key}`)
+            .off('click')
+            .on('click', () => {
+                extension_settings[extensionName][key] = !!$(`#structuredprefill_${key}`).prop('checked');
+                saveSettingsDebounced();
+                scheduleAntiSlopSizeInfo();
+            });
+    }
+
+    $('#structuredprefill_custom_raw_output')
+        .off('change')
+        .on('change', () => {
+            const field = String($('#structuredprefill_custom_raw_output').val() ?? '');
+            extension_settings[extensionName].custom_raw_output = Object.hasOwn(customRawOutputFields, field) ? field : '';
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_tc_enabled')
+        .off('click')
+        .on('click', () => {
+            extension_settings[extensionName].tc_enabled = !!$('#structuredprefill_tc_enabled').prop('checked');
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_tc_prefill_template')
+        .off('input')
+        .on('input', () => {
+            extension_settings[extensionName].tc_prefill_template = String($('#structuredprefill_tc_prefill_template').val() ?? '');
+            saveSettingsDebounced();
+        });
+
+    $('#structuredprefill_capability_probe')
+        .off('click')
+        .on('click', probeCurrentModelCapabilities);
+
+    $('#structuredprefill_anti_slop_mine')
+        .off('click')
+        .on('click', renderSlopSuggestions);
+
+    $('#structuredprefill_anti_slop_character_list')
+        .off('input')
+        .on('input', () => {
+            // Pin the character now so a quick switch can't save this text onto the next card.
+            const characterId = SillyTavern.getContext()?.characterId;
+            const value = String($('#structuredprefill_anti_slop_character_list').val() ?? '');
+            clearTimeout(characterAntiSlopSaveTimer);
+            characterAntiSlopSaveTimer = setTimeout(() => setCharacterAntiSlopList(characterId, value), 800);
+            scheduleAntiSlopSizeInfo();
+        });
+
+    $('#structuredprefill_anti_slop_chat_list')
+        .off('input')
+        .on('input', () => {
+            setChatAntiSlopList(String($('#structuredprefill_anti_slop_chat_list').val() ?? ''));
+            scheduleAntiSlopSizeInfo();
+        });
+
+    $('#structuredprefill_anti_slop_max_bytes')
+        .off('change')
+        .on('change', () => {
+            extension_settings[extensionName].anti_slop_max_bytes = clampInt($('#structuredprefill_anti_slop_max_bytes').val(), 0, 10000000, 32768);
+            $('#structuredprefill_anti_slop_max_bytes').val(String(extension_settings[extensionName].anti_slop_max_bytes));
+            saveSettingsDebounced();
         });
 }
 
@@ -2954,6 +5771,10 @@ jQuery(async () => {
     ensureScrollIntentListeners();
 
     eventSource.on(event_types.CHAT_COMPLETION_SETTINGS_READY, onChatCompletionSettingsReady);
+    eventSource.on(event_types.TEXT_COMPLETION_SETTINGS_READY, onTextCompletionSettingsReady);
+    eventSource.on(event_types.GENERATION_STARTED, (type, options, dryRun) => {
+        if (!dryRun) runtimeState.lastGenerationType = String(type ?? '');
+    });
     eventSource.on(event_types.CONNECTION_PROFILE_LOADED, renderPrefillGenProfileSelect);
     eventSource.on(event_types.CONNECTION_PROFILE_CREATED, renderPrefillGenProfileSelect);
     eventSource.on(event_types.CONNECTION_PROFILE_UPDATED, renderPrefillGenProfileSelect);
@@ -2962,6 +5783,13 @@ jQuery(async () => {
     eventSource.on(event_types.MESSAGE_UPDATED, onMessageUpdated);
     eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived);
     eventSource.on(event_types.GENERATION_STOPPED, onGenerationStopped);
+    eventSource.on(event_types.GENERATION_ENDED, onGenerationEnded);
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, renderStatsCard);
+    eventSource.on(event_types.MESSAGE_SWIPED, renderStatsCard);
+    eventSource.on(event_types.CHAT_CHANGED, () => setTimeout(renderAllStatsCards, 0));
+    eventSource.on(event_types.CHAT_CHANGED, renderScopedAntiSlopLists);
+    eventSource.on(event_types.CHATCOMPLETION_SOURCE_CHANGED, renderCapabilityProbeResult);
+    eventSource.on(event_types.CHATCOMPLETION_MODEL_CHANGED, renderCapabilityProbeResult);
 
     console.log(`[${extensionName}] extension loaded`);
 });